@@ -15,6 +15,15 @@ class AdvancedDuplicateDetector {
       'from', 'has', 'he', 'in', 'is', 'it', 'its', 'of', 'on', 
       'that', 'the', 'to', 'was', 'will', 'with', 'toyota', 'new'
     ]);
+    
+    // 日本語のストップワード（ひらがな機能語・定型表現）
+    this.japaneseStopWords = new Set([
+      'について', 'における', 'において', 'による', 'により', 'および', 'ならびに',
+      'または', 'ている', 'ています', 'います', 'ました', 'します', 'しました',
+      'された', 'される', 'です', 'ます', 'こと', 'これ', 'それ', 'ため', 'よう',
+      'トヨタ', 'ニュース', 'リリース',
+      '株式', '式会', '会社', '本日'
+    ]);
   }
 
   // 1. 基本的なID生成（完全一致用）
@@ -35,22 +44,83 @@ class AdvancedDuplicateDetector {
     }
   }
 
-  // 3. テキストの正規化
+  // 3. テキストの正規化（NFKCで全角/半角を統一、日本語の文字は保持）
   normalizeText(text) {
-    return text
+    return (text || '')
+      .normalize('NFKC')
       .toLowerCase()
-      .replace(/[^\w\s]/g, ' ')  // 記号を空白に
-      .replace(/\s+/g, ' ')      // 複数空白を1つに
+      .replace(/[^\p{L}\p{N}_\s]/gu, ' ')  // 記号を空白に
+      .replace(/\s+/g, ' ')                // 複数空白を1つに
       .trim();
   }
 
   // 4. 単語のトークン化（ストップワード除去）
+  // 英語は空白区切り、日本語は文字種ごとに分割して
+  // 漢字は2-gram、カタカナは語全体、ひらがなは3文字以上のみ採用
   tokenize(text) {
     const normalized = this.normalizeText(text);
-    const words = normalized.split(' ');
-    return words.filter(word => 
-      word.length > 2 && !this.stopWords.has(word)
-    );
+    const tokens = [];
+    
+    normalized.split(' ').forEach(word => {
+      if (!this.containsJapanese(word)) {
+        if (word.length > 2 && !this.stopWords.has(word)) {
+          tokens.push(word);
+        }
+        return;
+      }
+      
+      this.splitByScript(word).forEach(({ script, text: run }) => {
+        if (script === 'han') {
+          tokens.push(...this.characterBigrams(run));
+        } else if (script === 'hiragana') {
+          if (run.length >= 3) tokens.push(run);
+        } else if (script === 'katakana') {
+          if (run.length >= 2) tokens.push(run);
+        } else if (run.length > 2 && !this.stopWords.has(run)) {
+          tokens.push(run);
+        }
+      });
+    });
+    
+    return tokens.filter(token => !this.japaneseStopWords.has(token));
+  }
+
+  // 日本語の文字を含むか
+  containsJapanese(text) {
+    return /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/u.test(text);
+  }
+
+  // 文字種（漢字・ひらがな・カタカナ・その他）ごとに分割
+  splitByScript(word) {
+    const scriptOf = char => {
+      if (/\p{Script=Han}/u.test(char)) return 'han';
+      if (/\p{Script=Hiragana}/u.test(char)) return 'hiragana';
+      if (/[\p{Script=Katakana}ー]/u.test(char)) return 'katakana';
+      return 'other';
+    };
+    
+    const runs = [];
+    for (const char of word) {
+      const script = scriptOf(char);
+      const last = runs[runs.length - 1];
+      if (last && last.script === script) {
+        last.text += char;
+      } else {
+        runs.push({ script, text: char });
+      }
+    }
+    return runs;
+  }
+
+  // 文字2-gram（1文字の場合はそのまま）
+  characterBigrams(text) {
+    const chars = [...text];
+    if (chars.length < 2) return chars;
+    const bigrams = [];
+    for (let i = 0; i < chars.length - 1; i++) {
+      bigrams.push(chars[i] + chars[i + 1]);
+    }
+    return bigrams;
   }
 
   // 5. Jaccard係数による類似度計算
@@ -61,23 +131,27 @@ class AdvancedDuplicateDetector {
     const intersection = new Set([...set1].filter(x => set2.has(x)));
     const union = new Set([...set1, ...set2]);
     
+    // 両方とも空の場合は比較不能として0
+    if (union.size === 0) return 0;
     return intersection.size / union.size;
   }
 
-  // 6. コサイン類似度計算
+  // 6. コサイン類似度計算（出現頻度ベクトル）
   calculateCosineSimilarity(tokens1, tokens2) {
-    const allTokens = new Set([...tokens1, ...tokens2]);
-    const vector1 = [];
-    const vector2 = [];
+    const countTokens = tokens => {
+      const counts = new Map();
+      tokens.forEach(token => counts.set(token, (counts.get(token) || 0) + 1));
+      return counts;
+    };
+    const vector1 = countTokens(tokens1);
+    const vector2 = countTokens(tokens2);
     
-    allTokens.forEach(token => {
-      vector1.push(tokens1.filter(t => t === token).length);
-      vector2.push(tokens2.filter(t => t === token).length);
+    let dotProduct = 0;
+    vector1.forEach((count, token) => {
+      dotProduct += count * (vector2.get(token) || 0);
     });
-    
-    const dotProduct = vector1.reduce((sum, val, i) => sum + val * vector2[i], 0);
-    const magnitude1 = Math.sqrt(vector1.reduce((sum, val) => sum + val * val, 0));
-    const magnitude2 = Math.sqrt(vector2.reduce((sum, val) => sum + val * val, 0));
+    const magnitude1 = Math.sqrt([...vector1.values()].reduce((sum, val) => sum + val * val, 0));
+    const magnitude2 = Math.sqrt([...vector2.values()].reduce((sum, val) => sum + val * val, 0));
     
     return dotProduct / (magnitude1 * magnitude2) || 0;
   }
@@ -88,6 +162,11 @@ class AdvancedDuplicateDetector {
     return diffHours <= hoursThreshold;
   }
 
+  // フィードの公開日時を採用しているか（dateInfo のない既存記事は採用済みとみなす）
+  hasPublishedDate(article) {
+    return !article.dateInfo || article.dateInfo.source !== 'fetchedAt';
+  }
+
   // 8. 包括的な重複検出
   async findDuplicates(newArticle, existingArticles) {
     const duplicates = [];
@@ -122,13 +201,19 @@ class AdvancedDuplicateDetector {
     const jaccardSimilarity = this.calculateJaccardSimilarity(tokens1, tokens2);
     const cosineSimilarity = this.calculateCosineSimilarity(tokens1, tokens2);
     
+    // 抽出本文の類似度（両方とも本文を取得済みの場合のみ）
+    const contentSimilarity = article1.fullText && article2.fullText
+      ? this.calculateJaccardSimilarity(this.tokenize(article1.fullText), this.tokenize(article2.fullText))
+      : null;
+    
     // URL類似度
     const cleanUrl1 = this.cleanUrl(article1.link);
     const cleanUrl2 = this.cleanUrl(article2.link);
-    const urlSimilarity = cleanUrl1 === cleanUrl2 ? 1.0 : 0.0;
+    const sameCanonical = Boolean(article1.canonicalUrl) && article1.canonicalUrl === article2.canonicalUrl;
+    const urlSimilarity = cleanUrl1 === cleanUrl2 || sameCanonical ? 1.0 : 0.0;
     
-    // 時間の近接性
-    const timeClose = this.isTimeClose(
+    // 時間の近接性（公開日時が取得日時で代用された記事は判定しない）
+    const timeClose = this.hasPublishedDate(article1) && this.hasPublishedDate(article2) && this.isTimeClose(
       new Date(article1.publishedAt), 
       new Date(article2.publishedAt),
       48 // 48時間以内
@@ -156,11 +241,18 @@ class AdvancedDuplicateDetector {
       reasons.push('内容高類似');
     }
     
+    // 抽出本文の高類似
+    if (contentSimilarity !== null && contentSimilarity >= this.SIMILARITY_THRESHOLD) {
+      isDuplicate = true;
+      reasons.push('本文高類似');
+    }
+    
     return {
       isDuplicate,
       titleSimilarity,
       jaccardSimilarity,
       cosineSimilarity,
+      contentSimilarity,
       urlSimilarity,
       timeClose,
       reasons
@@ -194,12 +286,83 @@ class AdvancedDuplicateDetector {
         ...(duplicateArticle.tags || [])
       ].filter((tag, index, arr) => arr.indexOf(tag) === index),
       
+      // タグの確信度は高い方を採用
+      tagScores: this.mergeTagScores(originalArticle.tagScores, duplicateArticle.tagScores),
+      
+      // エンティティを統合
+      entities: this.mergeEntities(originalArticle.entities, duplicateArticle.entities),
+      
       // 更新日時
       updatedAt: new Date(),
       lastDuplicateFound: new Date()
     };
   }
 
+  // タグ確信度の統合
+  mergeTagScores(scores1 = {}, scores2 = {}) {
+    const merged = { ...scores1 };
+    Object.entries(scores2).forEach(([tag, score]) => {
+      merged[tag] = Math.max(merged[tag] || 0, score);
+    });
+    return merged;
+  }
+
+  // エンティティの統合（種別ごとに重複除去）
+  mergeEntities(entities1 = {}, entities2 = {}) {
+    const merged = {};
+    [...new Set([...Object.keys(entities1), ...Object.keys(entities2)])].forEach(type => {
+      merged[type] = [...new Set([...(entities1[type] || []), ...(entities2[type] || [])])];
+    });
+    return merged;
+  }
+
+  // 統合の取り消し（統合後の変更は残し、統合で追加されたリンク・ソース・タグなどだけを除く）
+  unmergeArticles(currentArticle, originalArticle, duplicateArticle) {
+    const article = { ...currentArticle, updatedAt: new Date() };
+    const originalLinks = originalArticle.alternativeLinks || [];
+    const originalSources = originalArticle.sources || [originalArticle.source];
+    const originalTags = originalArticle.tags || [];
+    const addedTags = (duplicateArticle.tags || []).filter(tag => !originalTags.includes(tag));
+
+    article.alternativeLinks = (currentArticle.alternativeLinks || [])
+      .filter(link => link !== duplicateArticle.link || originalLinks.includes(link));
+    article.sources = (currentArticle.sources || [currentArticle.source])
+      .filter(source => source !== duplicateArticle.source || originalSources.includes(source));
+    article.tags = (currentArticle.tags || []).filter(tag => !addedTags.includes(tag));
+
+    if (currentArticle.tagScores) {
+      article.tagScores = { ...currentArticle.tagScores };
+      addedTags.forEach(tag => delete article.tagScores[tag]);
+    }
+    if (currentArticle.entities) {
+      const originalEntities = originalArticle.entities || {};
+      const duplicateEntities = duplicateArticle.entities || {};
+      article.entities = {};
+      Object.entries(currentArticle.entities).forEach(([type, values]) => {
+        article.entities[type] = values.filter(value =>
+          !(duplicateEntities[type] || []).includes(value) || (originalEntities[type] || []).includes(value));
+      });
+    }
+
+    // 統合された記事の説明を採用していた場合は元に戻す
+    if (currentArticle.description === duplicateArticle.description &&
+        originalArticle.description !== undefined) {
+      article.description = originalArticle.description;
+    }
+
+    // 統合前になかったフィールドは削除
+    if (!originalArticle.alternativeLinks && article.alternativeLinks.length === 0) delete article.alternativeLinks;
+    if (!originalArticle.sources) delete article.sources;
+    if ('lastDuplicateFound' in currentArticle) {
+      if (originalArticle.lastDuplicateFound) {
+        article.lastDuplicateFound = originalArticle.lastDuplicateFound;
+      } else {
+        delete article.lastDuplicateFound;
+      }
+    }
+    return article;
+  }
+
   // 11. 重複検出レポート生成
   generateDuplicateReport(duplicates) {
     if (duplicates.length === 0) {
@@ -0,0 +1,380 @@
+// api-server.js
+// 収集記事の REST Web API
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const ToyotaNewsCollector = require('./rss-collector');
+
+const MAX_LIMIT = 100;
+const DASHBOARD_PATH = path.join(__dirname, 'public', 'dashboard.html');
+
+// APIエラー（HTTPステータス付き）
+class ApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// JSON以外のレスポンス（配信フィードなど）
+class RawResponse {
+  constructor(contentType, body) {
+    this.contentType = contentType;
+    this.body = body;
+  }
+}
+
+class NewsApiServer {
+  // options.collector: ToyotaNewsCollector インスタンス
+  // options.apiKey: 設定時は X-API-Key または Authorization: Bearer が必須
+  // options.allowQueryKey: true で /feeds/ のみ ?key= での認証も受け付ける（ヘッダーを送れないフィードリーダー向け）
+  // options.corsOrigin: Access-Control-Allow-Origin の値（'*' の場合、書き込みのリクエストには返さない）
+  constructor(options = {}) {
+    this.collector = options.collector || new ToyotaNewsCollector(options.collectorOptions);
+    this.apiKey = options.apiKey !== undefined ? options.apiKey : process.env.API_KEY;
+    this.allowQueryKey = options.allowQueryKey !== undefined ? options.allowQueryKey : process.env.API_ALLOW_QUERY_KEY === 'true';
+    this.corsOrigin = options.corsOrigin || process.env.API_CORS_ORIGIN || '*';
+    this.server = http.createServer((req, res) => this.handle(req, res));
+
+    // ルーティング定義 [メソッド, パス, ハンドラー, 認証要否]
+    this.routes = [
+      ['GET', /^\/api\/health$/, () => this.getHealth(), false],
+      ['GET', /^\/api\/articles$/, query => this.listArticles(query), true],
+      ['GET', /^\/api\/articles\/([^/]+)$/, (query, id) => this.getArticle(id), true],
+      ['GET', /^\/api\/articles\/([^/]+)\/revisions$/, (query, id) => this.listRevisions(query, id), true],
+      ['GET', /^\/api\/revisions$/, query => this.listRecentRevisions(query), true],
+      ['GET', /^\/api\/merged$/, query => this.listMerged(query), true],
+      ['GET', /^\/api\/search$/, query => this.search(query), true],
+      ['GET', /^\/api\/logs$/, query => this.listLogs(query), true],
+      ['GET', /^\/api\/feeds$/, () => this.listFeeds(), true],
+      ['GET', /^\/api\/merges$/, query => this.listMerges(query), true],
+      ['POST', /^\/api\/merges\/([^/]+)\/unmerge$/, (query, id) => this.unmerge(id), true],
+      ['GET', /^\/feeds\/(rss|atom|json)$/, (query, format) => this.publishFeed(query, format), true]
+    ];
+
+    // 書き込みのルート（統合の取り消しなど）はAPIキーが設定されている場合のみ登録する
+    if (!this.apiKey) {
+      this.routes = this.routes.filter(([method]) => method === 'GET');
+    }
+  }
+
+  // 1. リクエスト処理
+  async handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+
+    // 書き込みのリクエスト（プリフライトを含む）は明示したオリジンのみ許可し、ワイルドカードは返さない
+    const requestMethod = req.method === 'OPTIONS' ? req.headers['access-control-request-method'] : req.method;
+    const isWrite = Boolean(requestMethod) && requestMethod !== 'GET';
+    if (!isWrite || this.corsOrigin !== '*') {
+      res.setHeader('Access-Control-Allow-Origin', this.corsOrigin);
+    }
+    res.setHeader('Access-Control-Allow-Headers', 'Authorization, X-API-Key');
+    res.setHeader('Access-Control-Allow-Methods', this.corsOrigin === '*' ? 'GET, OPTIONS' : 'GET, POST, OPTIONS');
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      return res.end();
+    }
+
+    // ダッシュボード（静的HTML、データはブラウザからAPI経由で取得）
+    if (req.method === 'GET' && (url.pathname === '/' || url.pathname === '/dashboard')) {
+      return this.sendDashboard(res);
+    }
+
+    try {
+      const route = this.routes.find(([method, pattern]) => pattern.test(url.pathname) && method === req.method);
+      if (!route) {
+        const pathExists = this.routes.some(([, pattern]) => pattern.test(url.pathname));
+        throw new ApiError(pathExists ? 405 : 404, pathExists ? 'Method Not Allowed' : 'Not Found');
+      }
+
+      const [, pattern, handler, requiresAuth] = route;
+      if (requiresAuth) this.authenticate(req, url);
+
+      const params = url.pathname.match(pattern).slice(1).map(param => this.decodeParam(param));
+      const body = await handler(url.searchParams, ...params);
+      if (body instanceof RawResponse) {
+        res.writeHead(200, { 'Content-Type': body.contentType });
+        return res.end(body.body);
+      }
+      this.sendJson(res, 200, body);
+    } catch (error) {
+      const status = error.status || 500;
+      if (status === 500) {
+        // URLは ?key= を含む場合があるため出力しない
+        console.error('❌ APIエラー:', error.message);
+      }
+      this.sendJson(res, status, { error: status === 500 ? 'Internal Server Error' : error.message });
+    }
+  }
+
+  // パスパラメーターのデコード（不正なパーセントエンコードは 400）
+  decodeParam(param) {
+    try {
+      return decodeURIComponent(param);
+    } catch (error) {
+      throw new ApiError(400, `URLのエンコードが不正です: ${param}`);
+    }
+  }
+
+  // 2. JSONレスポンス送信
+  sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body));
+  }
+
+  // ダッシュボードHTML送信
+  sendDashboard(res) {
+    fs.readFile(DASHBOARD_PATH, (error, html) => {
+      if (error) {
+        return this.sendJson(res, 500, { error: 'ダッシュボードを読み込めません' });
+      }
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(html);
+    });
+  }
+
+  // 3. APIキー認証（allowQueryKey 時のみ /feeds/ の ?key= も受け付ける）
+  authenticate(req, url) {
+    if (!this.apiKey) return;
+
+    const authorization = req.headers.authorization || '';
+    const queryKey = this.allowQueryKey && url && url.pathname.startsWith('/feeds/') ? url.searchParams.get('key') : '';
+    const provided = req.headers['x-api-key'] ||
+      (authorization.startsWith('Bearer ') ? authorization.slice(7) : '') ||
+      queryKey || '';
+
+    const expected = Buffer.from(this.apiKey);
+    const actual = Buffer.from(String(provided));
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+      throw new ApiError(401, 'Unauthorized');
+    }
+  }
+
+  // 4. ページング指定の解析
+  parsePaging(query) {
+    const limit = query.has('limit') ? Number(query.get('limit')) : 20;
+    const page = query.has('page') ? Number(query.get('page')) : 1;
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      throw new ApiError(400, `limit は1〜${MAX_LIMIT}の整数で指定してください`);
+    }
+    if (!Number.isInteger(page) || page < 1) {
+      throw new ApiError(400, 'page は1以上の整数で指定してください');
+    }
+    return { limit, page, offset: (page - 1) * limit };
+  }
+
+  // 5. 日付指定の解析
+  parseDate(query, name) {
+    if (!query.has(name)) return null;
+    const date = new Date(query.get(name));
+    if (isNaN(date.getTime())) {
+      throw new ApiError(400, `${name} の日付形式が不正です`);
+    }
+    return date;
+  }
+
+  // ページング付きレスポンス（1件多く取得して次ページの有無を判定）
+  paginate(items, paging) {
+    return {
+      items: items.slice(0, paging.limit),
+      page: paging.page,
+      limit: paging.limit,
+      nextPage: items.length > paging.limit ? paging.page + 1 : null
+    };
+  }
+
+  // GET /api/health
+  async getHealth() {
+    return { status: 'ok', storage: this.collector.storage.name };
+  }
+
+  // GET /api/articles?source=&category=&tag=&from=&to=&page=&limit=
+  async listArticles(query) {
+    const paging = this.parsePaging(query);
+    const articles = await this.collector.queryArticles({
+      source: query.get('source'),
+      category: query.get('category'),
+      tag: query.get('tag'),
+      from: this.parseDate(query, 'from'),
+      to: this.parseDate(query, 'to'),
+      limit: paging.limit + 1,
+      offset: paging.offset
+    });
+    return this.paginate(articles, paging);
+  }
+
+  // GET /api/articles/:id
+  async getArticle(id) {
+    const article = await this.collector.getArticle(id);
+    if (!article) {
+      throw new ApiError(404, `記事が見つかりません: ${id}`);
+    }
+    return article;
+  }
+
+  // GET /api/articles/:id/revisions?order=&page=&limit=
+  // 記事が削除済みでも改訂履歴があれば返す
+  async listRevisions(query, id) {
+    const paging = this.parsePaging(query);
+    const order = query.get('order') || 'asc';
+    if (!['asc', 'desc'].includes(order)) {
+      throw new ApiError(400, 'order は asc または desc で指定してください');
+    }
+    const [article, revisions] = await Promise.all([
+      this.collector.getArticle(id),
+      this.collector.getArticleRevisions(id, {
+        order,
+        limit: paging.limit + 1,
+        offset: paging.offset
+      })
+    ]);
+    if (!article && revisions.length === 0) {
+      throw new ApiError(404, `記事が見つかりません: ${id}`);
+    }
+    return { article, ...this.paginate(revisions, paging) };
+  }
+
+  // GET /api/revisions?since=&source=&page=&limit=
+  async listRecentRevisions(query) {
+    const paging = this.parsePaging(query);
+    const revisions = await this.collector.revisions.listRecent({
+      since: this.parseDate(query, 'since'),
+      source: query.get('source'),
+      limit: paging.limit + 1,
+      offset: paging.offset
+    });
+    return this.paginate(revisions, paging);
+  }
+
+  // GET /api/merged?page=&limit=
+  async listMerged(query) {
+    const paging = this.parsePaging(query);
+    const articles = await this.collector.getMergedArticles({
+      limit: paging.limit + 1,
+      offset: paging.offset
+    });
+    return this.paginate(articles, paging);
+  }
+
+  // GET /api/merges?target=&status=&page=&limit=
+  async listMerges(query) {
+    const paging = this.parsePaging(query);
+    const merges = await this.collector.mergeAudit.list({
+      targetId: query.get('target'),
+      status: query.get('status'),
+      limit: paging.limit + 1,
+      offset: paging.offset
+    });
+    return this.paginate(merges, paging);
+  }
+
+  // POST /api/merges/:id/unmerge
+  // 統合記録がなければ 404、取り消せない状態なら 409（error.status）、保存の失敗などは 500
+  async unmerge(id) {
+    return this.collector.unmergeArticle(id);
+  }
+
+  // GET /api/feeds
+  async listFeeds() {
+    return {
+      items: this.collector.feedRegistry.getAllFeeds().map(feed => ({
+        id: feed.id,
+        name: feed.name,
+        category: feed.category,
+        language: feed.language,
+        enabled: feed.enabled
+      }))
+    };
+  }
+
+  // GET /api/search?q=&tag=&from=&to=&limit=
+  // q はフレーズ（"..."）・OR・NOT（-語）に対応
+  async search(query) {
+    const q = (query.get('q') || '').trim();
+    if (!q) {
+      throw new ApiError(400, 'q を指定してください');
+    }
+    const { limit } = this.parsePaging(query);
+    const items = await this.collector.searchArticles(q, limit, {
+      tags: query.getAll('tag'),
+      from: this.parseDate(query, 'from'),
+      to: this.parseDate(query, 'to')
+    });
+    return { query: q, items };
+  }
+
+  // GET /feeds/(rss|atom|json)?category=&tag=&source=&limit=
+  async publishFeed(query, format) {
+    const { limit } = this.parsePaging(query);
+    const filters = {
+      category: query.get('category'),
+      tag: query.get('tag'),
+      source: query.get('source'),
+      limit
+    };
+    // self リンクにはAPIキーを含めない
+    const selfQuery = new URLSearchParams(query);
+    selfQuery.delete('key');
+    const selfUrl = `${this.collector.publisher.baseUrl}/feeds/${format}` +
+      (selfQuery.toString() ? `?${selfQuery}` : '');
+
+    const { contentType, body } = await this.collector.publisher.render(format, filters, selfUrl);
+    return new RawResponse(contentType, body);
+  }
+
+  // GET /api/logs?page=&limit=
+  async listLogs(query) {
+    const paging = this.parsePaging(query);
+    const logs = await this.collector.getExecutionLogs({
+      limit: paging.limit + 1,
+      offset: paging.offset
+    });
+    return this.paginate(logs, paging);
+  }
+
+  // サーバー起動
+  listen(port = Number(process.env.API_PORT) || 3000) {
+    return new Promise(resolve => {
+      this.server.listen(port, () => {
+        console.log(`🌐 Web API 起動: http://localhost:${this.server.address().port}/api`);
+        console.log(`📊 ダッシュボード: http://localhost:${this.server.address().port}/dashboard`);
+        if (!this.apiKey) {
+          console.log('⚠️  API_KEY 未設定のため認証なしで公開しています（統合の取り消しなど書き込みのAPIは無効）');
+        }
+        resolve(this.server);
+      });
+    });
+  }
+
+  // サーバー停止
+  async close() {
+    await new Promise(resolve => this.server.close(resolve));
+    await this.collector.cleanup();
+  }
+}
+
+// 実行部分
+async function main() {
+  const api = new NewsApiServer();
+  await api.listen();
+
+  const shutdown = async () => {
+    await api.close();
+    process.exit(0);
+  };
+  process.once('SIGTERM', shutdown);
+  process.once('SIGINT', shutdown);
+}
+
+// スクリプト直接実行時
+if (require.main === module) {
+  main().catch(error => {
+    console.error('❌ Web API 起動エラー:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { NewsApiServer, ApiError, RawResponse };
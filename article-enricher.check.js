@@ -0,0 +1,106 @@
+// article-enricher.check.js
+// 記事ページからの抽出のチェック（代表的なページのHTMLを使う）
+
+const assert = require('assert');
+const ArticleEnricher = require('./article-enricher');
+
+// 抽出対象のページ
+const FIXTURES = {
+  // 英語のプレスリリース（ナビ・Cookieバナー・関連記事・フッター・script 内のタグ）
+  pressRelease: `<!DOCTYPE html><html><head><title>Toyota News</title>
+<link rel="canonical" href="/en/newsroom/corporate/12345.html">
+<meta property="og:title" content="Toyota Expands Hybrid Lineup">
+<meta property="og:image" content="/images/hero.jpg">
+<meta property="og:site_name" content="Toyota Global">
+<script>window.tracking = "<p>not content</p>";</script></head>
+<body><header class="site-header"><nav><a href="/">Home</a> <a href="/news">News</a></nav></header>
+<div class="cookie-banner"><p>We use cookies to improve your experience on this website, please accept.</p></div>
+<main><div class="article-body" id="content">
+<h2>Hybrid lineup grows</h2>
+<p>Toyota Motor Corporation today announced that it will expand its hybrid lineup, adding three new models in Europe, Japan, and North America.</p>
+<img src="/images/inline.jpg">
+<p>The new models feature the fifth-generation hybrid system, which improves fuel efficiency by 10 percent, according to the company.</p>
+<p>Short.</p>
+</div>
+<aside class="related"><ul><li><a href="/a">Related article one with a long title here</a></li></ul></aside></main>
+<footer><p>Copyright 2025 Toyota Motor Corporation, all rights reserved, everywhere.</p></footer></body></html>`,
+
+  // 日本語のニュースリリース（読点で採点、遅延読み込みの画像、シェアボタン、og:url のみ）
+  japanese: `<html><head>
+<meta property="og:url" content="https://global.toyota/jp/newsroom/corporate/40000001.html">
+<meta property="article:published_time" content="2024-05-01T10:00:00+09:00">
+</head><body>
+<div id="menu"><ul><li><a href="/">ホーム</a></li><li><a href="/news">ニュース</a></li></ul></div>
+<section class="news-release"><h2>新型ハイブリッド車を発売</h2>
+<p>トヨタ自動車株式会社は、新型ハイブリッド車を全国のトヨタ販売店を通じて、本日より発売した。</p>
+<figure><img data-src="img/ja-lead.jpg" alt=""></figure>
+<p>新型車は、第5世代ハイブリッドシステムを搭載し、燃費性能を向上させるとともに、走行性能も高めた。</p>
+<div class="share-buttons"><p>この記事をシェアする：X、Facebook、LINE、メールでお知らせください。</p></div>
+</section></body></html>`,
+
+  // 本文のないページ（リンクのみ）
+  linksOnly: '<html><body><ul><li><a href="/a">Link only page with a long anchor title</a></li></ul></body></html>'
+};
+
+console.log('=== article-enricher チェック ===\n');
+
+const enricher = new ArticleEnricher(null);
+
+// 1. 本文・メタデータの抽出
+const pressRelease = enricher.extract(FIXTURES.pressRelease, 'https://global.toyota/en/newsroom/corporate/12345.html');
+assert.deepStrictEqual(pressRelease.fullText.split('\n\n'), [
+  'Hybrid lineup grows',
+  'Toyota Motor Corporation today announced that it will expand its hybrid lineup, adding three new models in Europe, Japan, and North America.',
+  'The new models feature the fifth-generation hybrid system, which improves fuel efficiency by 10 percent, according to the company.',
+  'Short.'
+]);
+assert.strictEqual(pressRelease.canonicalUrl, 'https://global.toyota/en/newsroom/corporate/12345.html');
+assert.strictEqual(pressRelease.leadImage, 'https://global.toyota/images/hero.jpg');
+assert.deepStrictEqual(pressRelease.og, {
+  title: 'Toyota Expands Hybrid Lineup',
+  image: 'https://global.toyota/images/hero.jpg',
+  siteName: 'Toyota Global'
+});
+console.log('✅ 英語のプレスリリース');
+
+const japanese = enricher.extract(FIXTURES.japanese, 'https://global.toyota/jp/newsroom/x.html');
+assert.deepStrictEqual(japanese.fullText.split('\n\n'), [
+  '新型ハイブリッド車を発売',
+  'トヨタ自動車株式会社は、新型ハイブリッド車を全国のトヨタ販売店を通じて、本日より発売した。',
+  '新型車は、第5世代ハイブリッドシステムを搭載し、燃費性能を向上させるとともに、走行性能も高めた。'
+]);
+// og:image がなければ本文中の最初の画像（相対URLは解決）
+assert.strictEqual(japanese.leadImage, 'https://global.toyota/jp/newsroom/img/ja-lead.jpg');
+// canonical がなければ og:url
+assert.strictEqual(japanese.canonicalUrl, 'https://global.toyota/jp/newsroom/corporate/40000001.html');
+assert.strictEqual(japanese.og.publishedTime, '2024-05-01T10:00:00+09:00');
+console.log('✅ 日本語のニュースリリース');
+
+assert.deepStrictEqual(enricher.extract(FIXTURES.linksOnly, 'https://example.com/'), {
+  fullText: '',
+  leadImage: null,
+  canonicalUrl: null,
+  og: {}
+});
+console.log('✅ 本文のないページ');
+
+(async () => {
+  // 2. 取得（リダイレクト後のURLを相対URLの基準にする）
+  const requests = [];
+  const stub = new ArticleEnricher({
+    fetch: async (url, options) => {
+      requests.push({ url, options });
+      return { response: { body: FIXTURES.pressRelease, url: 'https://newsroom.toyota.example/en/2024/hybrid.html' } };
+    }
+  });
+  const result = await stub.enrich('https://t.example/abc');
+  assert.strictEqual(requests[0].url, 'https://t.example/abc');
+  assert.ok(requests[0].options.headers.Accept.startsWith('text/html'));
+  assert.strictEqual(result.canonicalUrl, 'https://newsroom.toyota.example/en/newsroom/corporate/12345.html');
+  console.log('✅ リダイレクト後のURLで相対URLを解決');
+
+  console.log('\n=== チェック完了 ===');
+})().catch(error => {
+  console.log('❌ チェック失敗:', error.message);
+  process.exit(1);
+});
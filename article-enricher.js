@@ -0,0 +1,168 @@
+// article-enricher.js
+// 記事ページから本文・画像・メタデータを抽出（Readability 方式の簡易版）
+
+const { parseHtml, findAll, findFirst, textContent, removeNode } = require('./html-parser');
+
+// 本文候補から除外する要素
+const UNLIKELY_TAGS = new Set([
+  'script', 'style', 'noscript', 'nav', 'header', 'footer', 'aside', 'form',
+  'button', 'iframe', 'svg', 'select', 'input', 'textarea'
+]);
+const UNLIKELY_PATTERN = /comment|share|social|related|sidebar|footer|header|menu|nav|breadcrumb|banner|promo|cookie|modal|popup|subscribe|newsletter|sponsor|ad-|advert/i;
+const POSITIVE_PATTERN = /article|body|content|entry|main|post|story|text|release|news/i;
+
+// 本文の段落として扱う要素
+const PARAGRAPH_TAGS = new Set(['p', 'h2', 'h3', 'h4', 'li', 'blockquote', 'pre']);
+
+// 最低限の段落の長さ（文字数）
+const MIN_PARAGRAPH_LENGTH = 25;
+
+class ArticleEnricher {
+  // fetchScheduler: 記事ページ取得用の FetchScheduler（フィード取得とは別の間隔設定）
+  constructor(fetchScheduler) {
+    this.fetchScheduler = fetchScheduler;
+  }
+
+  // 1. 記事ページを取得して抽出
+  async enrich(url) {
+    const { response } = await this.fetchScheduler.fetch(url, {
+      headers: { 'Accept': 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.8' }
+    });
+    return this.extract(response.body || '', response.url || url);
+  }
+
+  // 2. HTMLから本文・メタデータを抽出
+  extract(html, baseUrl) {
+    const document = parseHtml(html);
+    const metadata = this.extractMetadata(document, baseUrl);
+    const content = this.extractMainContent(document, baseUrl);
+
+    return {
+      fullText: content.text,
+      leadImage: metadata.og.image || content.firstImage || null,
+      canonicalUrl: metadata.canonicalUrl,
+      og: metadata.og
+    };
+  }
+
+  // 3. メタデータ（canonical / og:）
+  extractMetadata(document, baseUrl) {
+    const og = {};
+    findAll(document, node => node.tag === 'meta').forEach(meta => {
+      const key = meta.attrs.property || meta.attrs.name || '';
+      const match = key.match(/^og:(title|description|image|url|type|site_name|locale)$/i);
+      if (match && meta.attrs.content) {
+        const field = match[1].toLowerCase() === 'site_name' ? 'siteName' : match[1].toLowerCase();
+        if (!og[field]) og[field] = meta.attrs.content.trim();
+      }
+      if (/^article:published_time$/i.test(key) && meta.attrs.content) {
+        og.publishedTime = meta.attrs.content.trim();
+      }
+    });
+    if (og.image) og.image = this.resolveUrl(og.image, baseUrl);
+    if (og.url) og.url = this.resolveUrl(og.url, baseUrl);
+
+    const canonical = findFirst(document, node =>
+      node.tag === 'link' && /(^|\s)canonical(\s|$)/i.test(node.attrs.rel || '') && node.attrs.href
+    );
+
+    return {
+      og,
+      canonicalUrl: canonical ? this.resolveUrl(canonical.attrs.href, baseUrl) : (og.url || null)
+    };
+  }
+
+  // 4. 本文抽出
+  extractMainContent(document, baseUrl) {
+    // 不要な要素を除去
+    findAll(document, node => this.isUnlikely(node)).forEach(removeNode);
+
+    // 段落の親・祖父母要素にスコアを加算
+    const scores = new Map();
+    findAll(document, node => node.tag === 'p' || node.tag === 'pre' || node.tag === 'td').forEach(paragraph => {
+      const text = this.normalizeWhitespace(textContent(paragraph));
+      if (text.length < MIN_PARAGRAPH_LENGTH) return;
+
+      // 読点・カンマの数と長さで段落の重みを計算
+      const score = 1 + (text.match(/[,、，]/g) || []).length + Math.min(Math.floor(text.length / 100), 3);
+      const parent = paragraph.parent;
+      const grandparent = parent && parent.parent;
+      if (parent) scores.set(parent, (scores.get(parent) || this.initialScore(parent)) + score);
+      if (grandparent) scores.set(grandparent, (scores.get(grandparent) || this.initialScore(grandparent)) + score / 2);
+    });
+
+    // リンク密度で補正して最高スコアの要素を本文とする
+    let best = null;
+    let bestScore = 0;
+    scores.forEach((score, node) => {
+      const adjusted = score * (1 - this.linkDensity(node));
+      if (adjusted > bestScore) {
+        best = node;
+        bestScore = adjusted;
+      }
+    });
+
+    const container = best || findFirst(document, node => node.tag === 'article') ||
+      findFirst(document, node => node.tag === 'body') || document;
+
+    const paragraphs = [];
+    findAll(container, node => PARAGRAPH_TAGS.has(node.tag)).forEach(node => {
+      // 入れ子（li 内の p など）は内側を優先
+      if (findFirst(node, child => PARAGRAPH_TAGS.has(child.tag))) return;
+      const text = this.normalizeWhitespace(textContent(node));
+      const isHeading = /^h\d$/.test(node.tag);
+      if (!text || (!isHeading && text.length < MIN_PARAGRAPH_LENGTH && !/[.。!?！？]$/.test(text))) return;
+      if (this.linkDensity(node) > 0.5) return;
+      paragraphs.push(text);
+    });
+
+    const image = findFirst(container, node => node.tag === 'img' && (node.attrs.src || node.attrs['data-src']));
+
+    return {
+      text: paragraphs.join('\n\n'),
+      firstImage: image ? this.resolveUrl(image.attrs.src || image.attrs['data-src'], baseUrl) : null
+    };
+  }
+
+  // 除外対象の要素か
+  isUnlikely(node) {
+    if (UNLIKELY_TAGS.has(node.tag)) return true;
+    if (node.tag === 'body' || node.tag === 'article' || node.tag === 'main') return false;
+    const identity = `${node.attrs.class || ''} ${node.attrs.id || ''} ${node.attrs.role || ''}`;
+    return UNLIKELY_PATTERN.test(identity) && !POSITIVE_PATTERN.test(identity);
+  }
+
+  // 要素の種類・class名による初期スコア
+  initialScore(node) {
+    let score = 0;
+    if (node.tag === 'article' || node.tag === 'main') score += 10;
+    if (node.tag === 'div' || node.tag === 'section') score += 5;
+    const identity = `${node.attrs.class || ''} ${node.attrs.id || ''}`;
+    if (POSITIVE_PATTERN.test(identity)) score += 25;
+    return score;
+  }
+
+  // リンク文字数の割合
+  linkDensity(node) {
+    const total = this.normalizeWhitespace(textContent(node)).length;
+    if (total === 0) return 0;
+    const linkLength = findAll(node, child => child.tag === 'a')
+      .reduce((sum, link) => sum + this.normalizeWhitespace(textContent(link)).length, 0);
+    return linkLength / total;
+  }
+
+  normalizeWhitespace(text) {
+    return text.replace(/\s+/g, ' ').trim();
+  }
+
+  // 相対URLを絶対URLに変換
+  resolveUrl(url, baseUrl) {
+    try {
+      return new URL(url, baseUrl).toString();
+    } catch {
+      return url;
+    }
+  }
+}
+
+module.exports = ArticleEnricher;
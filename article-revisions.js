@@ -0,0 +1,84 @@
+// article-revisions.js
+// 記事の改訂履歴（配信元でタイトル・概要が修正された際の旧版とフィールド単位の差分を保存）
+
+const { COLLECTIONS } = require('./storage');
+
+const REVISIONS_COLLECTION = COLLECTIONS.REVISIONS;
+
+// 差分の対象外（更新のたびに変わるフィールド）
+const IGNORED_FIELDS = ['id', 'createdAt', 'updatedAt'];
+
+class ArticleRevisions {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  // 1. 改訂の記録
+  // previousArticle: 更新前の記事, changes: フィールド単位の差分（{ フィールド: { from, to } }）
+  // 戻り値: 追加した改訂（更新日時以外に差分がなければ null）
+  async record(articleId, previousArticle, changes, source = null) {
+    const fields = Object.keys(changes).filter(field => !IGNORED_FIELDS.includes(field));
+    if (fields.length === 0) return null;
+
+    const latest = await this.getLatest(articleId);
+    const revision = {
+      articleId,
+      revision: latest ? latest.revision + 1 : 1,
+      title: previousArticle.title,
+      source: source || previousArticle.source,
+      fields,
+      changes: Object.fromEntries(fields.map(field => [field, changes[field]])),
+      snapshot: previousArticle,
+      publishedAt: previousArticle.publishedAt,
+      detectedAt: new Date()
+    };
+    const id = await this.storage.add(REVISIONS_COLLECTION, revision);
+    return { id, ...revision };
+  }
+
+  // 2. 改訂の取得
+  async get(revisionId) {
+    return this.storage.get(REVISIONS_COLLECTION, revisionId);
+  }
+
+  // 3. 記事の改訂一覧（古い順、order: 'desc' で新しい順）
+  // options: { order, limit, offset }
+  async list(articleId, options = {}) {
+    return this.storage.query(REVISIONS_COLLECTION, {
+      where: [['articleId', '==', articleId]],
+      orderBy: ['revision', options.order || 'asc'],
+      limit: options.limit || 20,
+      offset: options.offset || 0
+    });
+  }
+
+  // 4. 記事の最新の改訂
+  async getLatest(articleId) {
+    const revisions = await this.list(articleId, { order: 'desc', limit: 1 });
+    return revisions[0] || null;
+  }
+
+  // 5. 改訂の削除（記事を更新できなかった場合）
+  async remove(revisionId) {
+    await this.storage.delete(REVISIONS_COLLECTION, revisionId);
+  }
+
+  // 6. 最近の改訂（全記事、検知の新しい順）
+  // options: { since, source, limit, offset }
+  async listRecent(options = {}) {
+    const where = [];
+    if (options.since) where.push(['detectedAt', '>=', options.since]);
+    if (options.source) where.push(['source', '==', options.source]);
+
+    return this.storage.query(REVISIONS_COLLECTION, {
+      where,
+      orderBy: ['detectedAt', 'desc'],
+      limit: options.limit || 20,
+      offset: options.offset || 0
+    });
+  }
+}
+
+ArticleRevisions.IGNORED_FIELDS = IGNORED_FIELDS;
+
+module.exports = ArticleRevisions;
@@ -0,0 +1,210 @@
+// article-transfer.js
+// 記事・実行ログ・改訂履歴の書き出しと取り込み（NDJSON / CSV、バックアップ・移行用）
+
+const readline = require('readline');
+const { COLLECTIONS } = require('./storage');
+
+// 対象コレクション（日付・ソースの絞り込みに使うフィールド）
+const TARGETS = {
+  articles: { collection: COLLECTIONS.NEWS, dateField: 'publishedAt', sourceField: 'source' },
+  logs: { collection: COLLECTIONS.LOGS, dateField: 'executedAt', sourceField: null },
+  revisions: { collection: COLLECTIONS.REVISIONS, dateField: 'detectedAt', sourceField: 'source' }
+};
+
+// CSVの列（分析用のフラットな表現）
+const CSV_COLUMNS = {
+  articles: [
+    'id', 'publishedAt', 'title', 'link', 'source', 'sources', 'category', 'language',
+    'tags', 'description', 'alternativeLinks', 'createdAt', 'updatedAt'
+  ],
+  logs: [
+    'id', 'executedAt', 'completedAt', 'duration', 'feedsProcessed', 'newArticles',
+    'updatedArticles', 'duplicatesFound', 'unchangedArticles', 'feedsNotModified', 'errors'
+  ],
+  revisions: ['id', 'articleId', 'revision', 'detectedAt', 'source', 'title', 'fields', 'changes']
+};
+
+const FORMATS = ['ndjson', 'csv'];
+
+// キー順に依存しないJSON表現（内容の比較用）
+function stableStringify(value) {
+  if (value instanceof Date) return JSON.stringify(value.toISOString());
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// 1回の取得件数
+const BATCH_SIZE = 200;
+
+// NDJSON 内の日時（ISO 8601）
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d{3})?Z$/;
+
+class ArticleTransfer {
+  constructor(collector) {
+    this.collector = collector;
+    this.storage = collector.storage;
+  }
+
+  getTarget(name) {
+    if (!TARGETS[name]) {
+      throw new Error(`未対応のコレクション: ${name}（${Object.keys(TARGETS).join(' / ')}）`);
+    }
+    return TARGETS[name];
+  }
+
+  // 1. 書き出し（ストリームに順次出力、件数を返す）
+  // options: { collection: 'articles' | 'logs' | 'revisions', format: 'ndjson' | 'csv', from, to, source }
+  async exportTo(output, options = {}) {
+    const name = options.collection || 'articles';
+    const format = options.format || 'ndjson';
+    const target = this.getTarget(name);
+    if (!FORMATS.includes(format)) {
+      throw new Error(`未対応の形式: ${format}（${FORMATS.join(' / ')}）`);
+    }
+    if (options.source && !target.sourceField) {
+      throw new Error(`${name} はソースで絞り込めません`);
+    }
+
+    const where = [];
+    if (options.source) where.push([target.sourceField, '==', options.source]);
+    if (options.from) where.push([target.dateField, '>=', options.from]);
+    if (options.to) where.push([target.dateField, '<=', options.to]);
+
+    if (format === 'csv') {
+      // Excel で文字化けしないよう BOM を付ける
+      await this.write(output, `\uFEFF${CSV_COLUMNS[name].join(',')}\r\n`);
+    }
+
+    let count = 0;
+    for (let offset = 0; ; offset += BATCH_SIZE) {
+      const docs = await this.storage.query(target.collection, {
+        where,
+        orderBy: [target.dateField, 'desc'],
+        limit: BATCH_SIZE,
+        offset
+      });
+      for (const doc of docs) {
+        await this.write(output, format === 'csv' ? this.toCsvRow(name, doc) : `${JSON.stringify(doc)}\n`);
+      }
+      count += docs.length;
+      if (docs.length < BATCH_SIZE) break;
+    }
+    return count;
+  }
+
+  // 書き込み（バッファが一杯なら drain を待つ）
+  write(output, chunk) {
+    return new Promise((resolve, reject) => {
+      const onError = error => reject(error);
+      output.once('error', onError);
+      const done = () => {
+        output.removeListener('error', onError);
+        resolve();
+      };
+      if (output.write(chunk)) {
+        done();
+      } else {
+        output.once('drain', done);
+      }
+    });
+  }
+
+  // CSVの1行（配列は "|" 区切り、日時は ISO 8601）
+  toCsvRow(name, doc) {
+    return CSV_COLUMNS[name].map(column => {
+      const value = doc[column];
+      let text;
+      if (value === undefined || value === null) text = '';
+      else if (value instanceof Date) text = value.toISOString();
+      else if (Array.isArray(value)) text = value.join('|');
+      else if (typeof value === 'object') text = JSON.stringify(value);
+      else text = String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',') + '\r\n';
+  }
+
+  // 2. NDJSON の1行を復元（ISO 8601 の文字列は Date に戻す）
+  parseLine(line) {
+    return JSON.parse(line, (key, value) =>
+      typeof value === 'string' && ISO_DATE_PATTERN.test(value) ? new Date(value) : value
+    );
+  }
+
+  // 3. 取り込み（NDJSON、id 単位で冪等）
+  // options: { collection: 'articles' | 'logs' | 'revisions', dedupe: true で未登録の記事に重複検出を実行, lookbackDays }
+  // 戻り値: { created, replaced, unchanged, merged, failed }
+  async importFrom(input, options = {}) {
+    const name = options.collection || 'articles';
+    const target = this.getTarget(name);
+    const lookbackDays = options.lookbackDays || 7;
+    const result = { created: 0, replaced: 0, unchanged: 0, merged: 0, failed: 0 };
+
+    if (name === 'articles') {
+      await this.collector.dedupeIndex.load(true);
+    }
+
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    let lineNumber = 0;
+    for await (const line of lines) {
+      lineNumber++;
+      if (!line.trim()) continue;
+
+      let doc;
+      try {
+        doc = this.parseLine(line);
+        if (!doc || typeof doc.id !== 'string' || !doc.id) {
+          throw new Error('id がありません');
+        }
+      } catch (error) {
+        result.failed++;
+        console.error(`❌ ${lineNumber}行目: ${error.message}`);
+        continue;
+      }
+
+      const { id, ...data } = doc;
+      const existing = await this.storage.get(target.collection, id);
+
+      // 同じ内容なら書き込まない（再実行しても結果が変わらない）
+      if (existing && stableStringify(existing) === stableStringify(doc)) {
+        result.unchanged++;
+        continue;
+      }
+
+      if (name !== 'articles') {
+        await this.storage.set(target.collection, id, data);
+        result[existing ? 'replaced' : 'created']++;
+        continue;
+      }
+
+      // 未登録の記事は必要に応じて既存記事との重複を判定（統合済みなら何もしない）
+      if (!existing && options.dedupe) {
+        if (await this.collector.mergeAudit.findActiveByIncomingId(id)) {
+          result.unchanged++;
+          continue;
+        }
+        const since = new Date(doc.publishedAt);
+        since.setDate(since.getDate() - lookbackDays);
+        const status = await this.collector.storeNewArticle(doc, { since, notify: false });
+        result[status === 'merged' ? 'merged' : 'created']++;
+        continue;
+      }
+
+      await this.storage.set(target.collection, id, data);
+      await this.collector.searchIndex.indexArticle(doc);
+      await this.collector.dedupeIndex.indexArticle(doc);
+      result[existing ? 'replaced' : 'created']++;
+    }
+
+    return result;
+  }
+}
+
+ArticleTransfer.TARGETS = TARGETS;
+ArticleTransfer.FORMATS = FORMATS;
+
+module.exports = ArticleTransfer;
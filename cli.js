@@ -0,0 +1,466 @@
+#!/usr/bin/env node
+// cli.js
+// 統合CLI（収集・検索・確認・メンテナンス）
+//
+// 使い方:
+//   node cli.js collect [--feed <ID> ...] [--force] [--dry-run] [--record | --replay <実行ID|latest>] [--fixtures <ディレクトリ>]
+//   node cli.js latest [--limit 10] [--source <名前>] [--category <カテゴリ>] [--tag <タグ>]
+//   node cli.js search <検索語> [--limit 10] [--tag <タグ>] [--from <日付>] [--to <日付>]
+//   node cli.js show <記事ID>
+//   node cli.js revisions [<記事ID>] [--limit 20] [--since <日付>]
+//   node cli.js dedupe-check <記事ID1> <記事ID2>
+//   node cli.js logs [--limit 10]
+//   node cli.js feeds
+//   node cli.js health
+//   node cli.js fixtures [--fixtures <ディレクトリ>]
+//   node cli.js export [--collection articles|logs|revisions] [--format ndjson|csv] [--out <ファイル>]
+//                      [--from <日付>] [--to <日付>] [--source <名前>]
+//   node cli.js import <ファイル|-> [--collection articles|logs|revisions] [--dedupe]
+//   node cli.js retention [--dry-run] [--max-batches <数>] [--rescan]
+//   node cli.js restore <記事ID>
+// 共通オプション: --json（結果をJSONで標準出力に出力し、進捗ログは標準エラーへ）
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const ToyotaNewsCollector = require('./rss-collector');
+const ArticleTransfer = require('./article-transfer');
+const RetentionManager = require('./retention-manager');
+const { listRuns, DEFAULT_FIXTURE_DIR } = require('./fixture-fetcher');
+const { EXIT_CODES, collectExitCode } = require('./exit-codes');
+
+// 終了コード付きのエラー
+class CliError extends Error {
+  constructor(message, exitCode = EXIT_CODES.FAILURE) {
+    super(message);
+    this.exitCode = exitCode;
+  }
+}
+
+// 1. 引数の解析（--key value / --flag / 位置引数。繰り返し指定は配列）
+function parseArgs(argv, flags = []) {
+  const options = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      options._.push(arg);
+      continue;
+    }
+    const key = arg.slice(2);
+    if (flags.includes(key)) {
+      options[key] = true;
+      continue;
+    }
+    const value = argv[i + 1];
+    if (value === undefined || value.startsWith('--')) {
+      throw new CliError(`--${key} の値を指定してください`, EXIT_CODES.USAGE);
+    }
+    options[key] = options[key] === undefined ? value : [].concat(options[key], value);
+    i++;
+  }
+  return options;
+}
+
+function parseLimit(value, defaultValue) {
+  if (value === undefined) return defaultValue;
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new CliError('--limit は1以上の整数で指定してください', EXIT_CODES.USAGE);
+  }
+  return limit;
+}
+
+function parseDate(value, name) {
+  if (value === undefined) return undefined;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new CliError(`--${name} の日付形式が不正です: ${value}`, EXIT_CODES.USAGE);
+  }
+  return date;
+}
+
+function formatPercent(value) {
+  return value === null || value === undefined ? '-' : `${Math.round(value * 100)}%`;
+}
+
+function printArticle(article, index) {
+  const sources = article.sources && article.sources.length > 0 ? article.sources : [article.source];
+  console.log(`${index + 1}. ${article.title}`);
+  console.log(`   🆔 ${article.id}  📅 ${article.publishedAt.toLocaleString()}  📰 ${sources.join(', ')}`);
+  if (article.tags && article.tags.length > 0) {
+    console.log(`   🏷️  ${article.tags.join(', ')}`);
+  }
+  console.log(`   🔗 ${article.link}`);
+}
+
+// 2. サブコマンド
+const COMMANDS = {
+  async collect(collector, options) {
+    const feedIds = options.feed !== undefined ? [].concat(options.feed) : undefined;
+    if (feedIds) {
+      const unknown = feedIds.filter(id => !collector.feedRegistry.getFeed(id));
+      if (unknown.length > 0) {
+        throw new CliError(`フィードが見つかりません: ${unknown.join(', ')}`, EXIT_CODES.NOT_FOUND);
+      }
+    }
+    const summary = await collector.collectAllFeeds({ feedIds, force: Boolean(options.force) || Boolean(feedIds) });
+    return { result: summary, exitCode: collectExitCode(summary) };
+  },
+
+  async latest(collector, options) {
+    const articles = await collector.queryArticles({
+      source: options.source,
+      category: options.category,
+      tag: options.tag,
+      limit: parseLimit(options.limit, 10)
+    });
+    return {
+      result: articles,
+      print: () => {
+        if (articles.length === 0) console.log('記事はありません');
+        articles.forEach(printArticle);
+      }
+    };
+  },
+
+  async search(collector, options) {
+    const query = options._.join(' ').trim();
+    if (!query) throw new CliError('検索語を指定してください', EXIT_CODES.USAGE);
+    const articles = await collector.searchArticles(query, parseLimit(options.limit, 10), {
+      tags: options.tag !== undefined ? [].concat(options.tag) : [],
+      from: parseDate(options.from, 'from'),
+      to: parseDate(options.to, 'to')
+    });
+    return {
+      result: articles,
+      print: () => {
+        if (articles.length === 0) console.log('一致する記事はありません');
+        articles.forEach((article, index) => {
+          printArticle(article, index);
+          console.log(`   🔎 スコア ${article.score.toFixed(2)}: ${article.snippet.replace(/<\/?mark>/g, '**')}`);
+        });
+      }
+    };
+  },
+
+  async show(collector, options) {
+    const [id] = options._;
+    if (!id) throw new CliError('記事IDを指定してください', EXIT_CODES.USAGE);
+    const article = await collector.getArticle(id);
+    if (!article) throw new CliError(`記事が見つかりません: ${id}`, EXIT_CODES.NOT_FOUND);
+    return { result: article, print: () => console.log(JSON.stringify(article, null, 2)) };
+  },
+
+  // 配信元での修正履歴（記事ID指定時はその記事の改訂を古い順、未指定時は最近の改訂を新しい順）
+  async revisions(collector, options) {
+    const [id] = options._;
+    const limit = parseLimit(options.limit, 20);
+    if (!id) {
+      const revisions = await collector.revisions.listRecent({ since: parseDate(options.since, 'since'), limit });
+      return {
+        result: revisions,
+        print: () => {
+          if (revisions.length === 0) console.log('改訂はありません');
+          revisions.forEach(revision => {
+            console.log(`📜 ${revision.detectedAt.toLocaleString()} [${revision.articleId}] 改訂 ${revision.revision} (${revision.source})`);
+            console.log(`   ${revision.title}`);
+            console.log(`   変更: ${revision.fields.join(', ')}`);
+          });
+        }
+      };
+    }
+
+    const [article, revisions] = await Promise.all([
+      collector.getArticle(id),
+      collector.getArticleRevisions(id, { limit })
+    ]);
+    if (!article && revisions.length === 0) {
+      throw new CliError(`記事が見つかりません: ${id}`, EXIT_CODES.NOT_FOUND);
+    }
+    const formatValue = value => {
+      if (value === null || value === undefined) return '(なし)';
+      const text = value instanceof Date ? value.toISOString() : typeof value === 'string' ? value : JSON.stringify(value);
+      return text.length > 200 ? `${text.substring(0, 200)}...` : text;
+    };
+    return {
+      result: { article, revisions },
+      print: () => {
+        if (article) {
+          console.log(`${article.title}`);
+          console.log(`   🆔 ${article.id}  初回取得 ${article.createdAt.toLocaleString()}  最終更新 ${article.updatedAt.toLocaleString()}`);
+        }
+        if (revisions.length === 0) console.log('改訂はありません');
+        revisions.forEach(revision => {
+          console.log(`\n📜 改訂 ${revision.revision}  ${revision.detectedAt.toLocaleString()} (${revision.source})`);
+          revision.fields.forEach(field => {
+            const { from, to } = revision.changes[field];
+            console.log(`   ${field}:`);
+            console.log(`     - ${formatValue(from)}`);
+            console.log(`     + ${formatValue(to)}`);
+          });
+        });
+      }
+    };
+  },
+
+  async 'dedupe-check'(collector, options) {
+    const [id1, id2] = options._;
+    if (!id1 || !id2) throw new CliError('記事IDを2つ指定してください', EXIT_CODES.USAGE);
+    const [article1, article2] = await Promise.all([collector.getArticle(id1), collector.getArticle(id2)]);
+    const missing = [[id1, article1], [id2, article2]].filter(([, article]) => !article).map(([id]) => id);
+    if (missing.length > 0) {
+      throw new CliError(`記事が見つかりません: ${missing.join(', ')}`, EXIT_CODES.NOT_FOUND);
+    }
+
+    const similarity = await collector.duplicateDetector.calculateSimilarity(article1, article2);
+    return {
+      result: { articles: [id1, id2], ...similarity },
+      print: () => {
+        console.log(`1. ${article1.title} (${article1.source})`);
+        console.log(`2. ${article2.title} (${article2.source})`);
+        console.log(`  重複判定: ${similarity.isDuplicate ? 'YES' : 'NO'}`);
+        console.log(`  タイトル類似度: ${formatPercent(similarity.titleSimilarity)}`);
+        console.log(`  Jaccard類似度: ${formatPercent(similarity.jaccardSimilarity)}`);
+        console.log(`  コサイン類似度: ${formatPercent(similarity.cosineSimilarity)}`);
+        console.log(`  本文類似度: ${formatPercent(similarity.contentSimilarity)}`);
+        console.log(`  同一URL: ${similarity.urlSimilarity === 1 ? 'YES' : 'NO'} / 時間近接: ${similarity.timeClose ? 'YES' : 'NO'}`);
+        console.log(`  理由: ${similarity.reasons.join(', ') || 'なし'}`);
+      }
+    };
+  },
+
+  async logs(collector, options) {
+    const logs = await collector.getExecutionLogs({ limit: parseLimit(options.limit, 10) });
+    return {
+      result: logs,
+      print: () => {
+        if (logs.length === 0) console.log('実行ログはありません');
+        logs.forEach(log => {
+          console.log(`${log.errors > 0 ? '⚠️ ' : '✅'} ${log.executedAt.toLocaleString()} (${log.duration})`);
+          console.log(`   新規 ${log.newArticles} / 更新 ${log.updatedArticles} / 重複 ${log.duplicatesFound} / エラー ${log.errors}`);
+        });
+      }
+    };
+  },
+
+  async feeds(collector) {
+    const feeds = await Promise.all(collector.feedRegistry.getAllFeeds().map(async feed => {
+      const state = await collector.getFeedState(feed);
+      return { ...feed, lastFetchedAt: state.lastFetchedAt || null, lastStatus: state.lastStatus || null };
+    }));
+    return {
+      result: feeds,
+      print: () => feeds.forEach(feed => {
+        console.log(`${feed.enabled ? '✅' : '⏸️ '} ${feed.id} (${feed.category}, ${feed.language}) ${feed.name}`);
+        console.log(`   ${feed.url}`);
+        console.log(`   最終取得: ${feed.lastFetchedAt ? `${feed.lastFetchedAt.toLocaleString()} (HTTP ${feed.lastStatus})` : '未取得'}`);
+      })
+    };
+  },
+
+  // 記録済みの取得結果（collect --record で作成、--replay で再生）
+  async fixtures(collector, options) {
+    const dir = options.fixtures || DEFAULT_FIXTURE_DIR;
+    const runs = listRuns(dir).map(runId => ({
+      runId,
+      feeds: fs.readdirSync(path.join(dir, runId))
+        .filter(file => file.endsWith('.json') && !file.startsWith('page-'))
+        .map(file => file.slice(0, -'.json'.length))
+    }));
+    return {
+      result: runs,
+      print: () => {
+        if (runs.length === 0) console.log(`記録はありません (${dir})`);
+        runs.forEach(run => console.log(`📼 ${run.runId}  ${run.feeds.join(', ')}`));
+      }
+    };
+  },
+
+  // フィードの稼働状況とアラート
+  async health(collector) {
+    const report = await collector.feedHealth.report(collector.getRSSFeeds());
+    const icons = { ok: '✅', warning: '⚠️ ', failing: '❌', unknown: '❔' };
+    return {
+      result: report,
+      exitCode: report.alerts.length > 0 ? EXIT_CODES.ALERT : EXIT_CODES.OK,
+      print: () => {
+        report.feeds.forEach(feed => {
+          console.log(`${icons[feed.status]} ${feed.feedId || feed.name} (${feed.status})`);
+          console.log(`   最終成功: ${feed.lastSuccessAt ? feed.lastSuccessAt.toLocaleString() : '-'} / 最終新着: ${feed.lastNewItemAt ? feed.lastNewItemAt.toLocaleString() : '-'}`);
+          console.log(`   連続失敗 ${feed.consecutiveFailures}回 / 記事数 ${feed.lastItemCount} / 平均応答 ${feed.avgResponseMs !== null ? `${feed.avgResponseMs}ms` : '-'} / 解析警告 ${feed.parseWarnings}件`);
+        });
+        if (report.alerts.length === 0) {
+          console.log('\n✅ アラートはありません');
+        } else {
+          console.log(`\n🚨 アラート ${report.alerts.length}件`);
+          report.alerts.forEach(alert => console.log(`   ${alert.feed}: ${alert.message}`));
+        }
+      }
+    };
+  },
+
+  // 記事・実行ログ・改訂履歴の書き出し（NDJSON はそのまま取り込み可能、CSV は分析用）
+  async export(collector, options) {
+    const collection = options.collection || 'articles';
+    const format = options.format || 'ndjson';
+    if (!ArticleTransfer.TARGETS[collection] || !ArticleTransfer.FORMATS.includes(format)) {
+      throw new CliError(`--collection は ${Object.keys(ArticleTransfer.TARGETS).join(' / ')}、--format は ndjson / csv で指定してください`, EXIT_CODES.USAGE);
+    }
+    const filters = {
+      collection,
+      format,
+      source: options.source,
+      from: parseDate(options.from, 'from'),
+      to: parseDate(options.to, 'to')
+    };
+    const output = options.out ? fs.createWriteStream(options.out) : process.stdout;
+
+    const count = await new ArticleTransfer(collector).exportTo(output, filters);
+    if (options.out) {
+      await new Promise((resolve, reject) => output.end(error => (error ? reject(error) : resolve())));
+    }
+    console.error(`📦 ${count} 件を書き出しました${options.out ? `: ${options.out}` : ''}`);
+    // 標準出力への書き出し時は記事そのものが出力
+    return { result: null };
+  },
+
+  // NDJSON の取り込み（id 単位で冪等、--dedupe で未登録の記事に重複検出を実行。.gz はアーカイブとして展開）
+  async import(collector, options) {
+    const [file] = options._;
+    const collection = options.collection || 'articles';
+    if (!file) throw new CliError('取り込むファイルを指定してください（標準入力は -）', EXIT_CODES.USAGE);
+    if (!ArticleTransfer.TARGETS[collection]) {
+      throw new CliError(`--collection は ${Object.keys(ArticleTransfer.TARGETS).join(' / ')} で指定してください`, EXIT_CODES.USAGE);
+    }
+    if (file !== '-' && !fs.existsSync(file)) {
+      throw new CliError(`ファイルが見つかりません: ${file}`, EXIT_CODES.NOT_FOUND);
+    }
+
+    let input = file === '-' ? process.stdin : fs.createReadStream(file);
+    if (file.endsWith('.gz')) input = input.pipe(zlib.createGunzip());
+    const result = await new ArticleTransfer(collector).importFrom(input, {
+      collection,
+      dedupe: Boolean(options.dedupe)
+    });
+    return {
+      result,
+      exitCode: result.failed > 0 ? EXIT_CODES.PARTIAL_FAILURE : EXIT_CODES.OK,
+      print: () => {
+        console.log(`📥 新規 ${result.created} / 置換 ${result.replaced} / 変更なし ${result.unchanged} / 統合 ${result.merged} / 失敗 ${result.failed}`);
+      }
+    };
+  },
+
+  // 保持ルールの適用（--dry-run で対象の確認のみ、中断しても再実行で続きから処理）
+  async retention(collector, options) {
+    let maxBatches;
+    if (options['max-batches'] !== undefined) {
+      maxBatches = Number(options['max-batches']);
+      if (!Number.isInteger(maxBatches) || maxBatches < 1) {
+        throw new CliError('--max-batches は1以上の整数で指定してください', EXIT_CODES.USAGE);
+      }
+    }
+
+    const manager = new RetentionManager(collector).load();
+    // Ctrl+C は現在のバッチの完了後に止める
+    const onInterrupt = () => {
+      console.error('\n⏸️  現在のバッチの完了後に中断します...');
+      manager.stop();
+    };
+    process.once('SIGINT', onInterrupt);
+    let summary;
+    try {
+      summary = await manager.run({ dryRun: Boolean(options['dry-run']), maxBatches, rescan: Boolean(options.rescan) });
+    } finally {
+      process.removeListener('SIGINT', onInterrupt);
+    }
+
+    return {
+      result: summary,
+      print: () => {
+        const names = Object.keys(summary.collections);
+        if (names.length === 0) console.log('適用する保持ルールはありません');
+        names.forEach(name => {
+          const stats = summary.collections[name];
+          const verb = summary.dryRun ? '予定' : '';
+          console.log(`\n🗄️  ${name}: アーカイブ${verb} ${stats.archived} / 削除${verb} ${stats.deleted} / 対象外 ${stats.kept}`);
+          stats.preview.forEach(item => {
+            const label = item.title || item.id;
+            console.log(`   ${item.action === 'delete' ? '🗑️ ' : '📦'} ${item.date.toISOString().slice(0, 10)} ${label}${item.category ? ` (${item.category})` : ''}`);
+          });
+          if (stats.archived + stats.deleted > stats.preview.length) {
+            console.log(`   ...ほか ${stats.archived + stats.deleted - stats.preview.length} 件`);
+          }
+          stats.files.forEach(file => console.log(`   💾 ${file}`));
+        });
+        if (!summary.completed) console.log('\n⏸️  未処理のものがあります（再実行で続きから処理されます）');
+      }
+    };
+  },
+
+  // アーカイブ済み記事の復元
+  async restore(collector, options) {
+    const [id] = options._;
+    if (!id) throw new CliError('記事IDを指定してください', EXIT_CODES.USAGE);
+    const article = await new RetentionManager(collector).restore(id);
+    if (!article) throw new CliError(`記事が見つかりません: ${id}`, EXIT_CODES.NOT_FOUND);
+    return { result: article, print: () => console.log(`🆔 ${article.id}  📅 ${article.publishedAt.toLocaleString()}`) };
+  }
+};
+
+// 3. 実行（終了コードを返す）
+async function main(argv) {
+  const [command, ...rest] = argv;
+  if (!command || !COMMANDS[command]) {
+    console.error(command ? `❌ 不明なコマンド: ${command}` : '❌ コマンドを指定してください');
+    console.error(`   コマンド: ${Object.keys(COMMANDS).join(', ')}`);
+    return EXIT_CODES.USAGE;
+  }
+
+  let options;
+  try {
+    options = parseArgs(rest, ['json', 'force', 'dry-run', 'dedupe', 'record', 'rescan']);
+    if (options.record && options.replay) {
+      throw new CliError('--record と --replay は同時に指定できません', EXIT_CODES.USAGE);
+    }
+  } catch (error) {
+    console.error('❌', error.message);
+    return error.exitCode;
+  }
+
+  // JSON出力時は標準出力を結果専用にする
+  const log = console.log;
+  if (options.json || command === 'export') console.log = console.error;
+
+  let collector;
+  try {
+    collector = new ToyotaNewsCollector({
+      dryRun: Boolean(options['dry-run']),
+      fixtures: options.record || options.replay ? {
+        mode: options.record ? 'record' : 'replay',
+        runId: options.replay && options.replay !== 'latest' ? options.replay : undefined,
+        dir: options.fixtures
+      } : undefined
+    });
+    const { result, print, exitCode = EXIT_CODES.OK } = await COMMANDS[command](collector, options);
+    if (options.json && result !== null) {
+      await new Promise(resolve => process.stdout.write(`${JSON.stringify(result, null, 2)}\n`, resolve));
+    } else if (print) {
+      print();
+    }
+    return exitCode;
+  } catch (error) {
+    console.error('❌', error.message);
+    return error.exitCode || EXIT_CODES.FAILURE;
+  } finally {
+    if (collector) await collector.cleanup();
+    console.log = log;
+  }
+}
+
+// スクリプト直接実行時（Firestore の接続が残っても終了させる）
+if (require.main === module) {
+  main(process.argv.slice(2)).then(exitCode => process.exit(exitCode));
+}
+
+module.exports = { main, EXIT_CODES, collectExitCode };
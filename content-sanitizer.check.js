@@ -0,0 +1,61 @@
+// content-sanitizer.check.js
+// 説明・本文の正規化のチェック（プレーンテキスト・許可リスト方式のHTML・メディア一覧）
+
+const assert = require('assert');
+const ContentSanitizer = require('./content-sanitizer');
+
+const BASE_URL = 'https://example.com/news/1';
+
+console.log('=== content-sanitizer チェック ===\n');
+
+const sanitizer = new ContentSanitizer({ boilerplate: ['^Media Contact:'] });
+
+// 1. プレーンテキスト（スクリプト・トラッキングピクセル・定型文の除去）
+const item = sanitizer.normalize({
+  title: 'Toyota &amp; <b>Lexus</b>',
+  description: '<p>Toyota announced <a href="javascript:alert(1)">a plan</a>.</p><script>alert(1)</script>' +
+    '<img src="http://feeds.feedburner.com/~r/x/pixel.gif" width="1" height="1">' +
+    '<p>The post Hybrid appeared first on Toyota News.</p><p>Media Contact: Jane</p>',
+  'content:encoded': '<h1>Head</h1><div>Body <a href="/news/2" onclick="track()">link</a></div>' +
+    '<img src="/img/a.jpg" width="640"><p>Continue reading</p>',
+  enclosure: { url: 'https://example.com/v.mp4', type: 'video/mp4', length: '1000' }
+}, BASE_URL);
+assert.strictEqual(item.title, 'Toyota & Lexus');
+assert.strictEqual(item.description, 'Toyota announced a plan.');
+assert.strictEqual(item.content, 'Head\n\nBody link');
+console.log('✅ スクリプト・トラッキングピクセル・定型文（フィード固有のパターンを含む）を除去');
+
+assert.strictEqual(sanitizer.normalize({ description: '&lt;p&gt;Escaped &amp;amp; text&lt;/p&gt;' }).description, 'Escaped & text');
+assert.strictEqual(sanitizer.normalize({ description: 'Summary of the release [&#8230;]' }).description, 'Summary of the release');
+assert.strictEqual(sanitizer.normalize({ description: 'Summary of the release [...]' }).description, 'Summary of the release');
+console.log('✅ 二重にエスケープされたHTMLの復元と末尾の省略記号の除去');
+
+// 2. 許可リスト方式のHTML
+assert.strictEqual(item.contentHtml,
+  '<h2>Head</h2><p>Body <a href="https://example.com/news/2" rel="nofollow noopener noreferrer">link</a></p>' +
+  '<img src="https://example.com/img/a.jpg" width="640">');
+
+const unsafe = sanitizer.normalize({
+  description: '<p>Toyota <a href="javascript:alert(1)" onclick="x()">plan</a> ' +
+    '<img src="data:image/png;base64,AA"> <iframe src="https://evil.example/"></iframe></p>'
+}, BASE_URL);
+assert.ok(!/javascript:|onclick|data:|iframe/.test(unsafe.contentHtml), unsafe.contentHtml);
+assert.ok(unsafe.contentHtml.startsWith('<p>Toyota <a>plan</a>'));
+console.log('✅ 許可外の要素・属性・URLを除去し、相対URLを解決');
+
+// 3. メディア一覧
+assert.deepStrictEqual(item.media, [
+  { url: 'https://example.com/v.mp4', type: 'video', mimeType: 'video/mp4', width: null, height: null, length: 1000, caption: null, source: 'enclosure' },
+  { url: 'https://example.com/img/a.jpg', type: 'image', mimeType: null, width: 640, height: null, length: null, caption: null, source: 'html' }
+]);
+console.log('✅ enclosure と本文中の画像（トラッキングピクセルを除く）');
+
+// 4. 極端に長い入力は切り捨てて処理する
+const startedAt = Date.now();
+const long = sanitizer.normalize({ description: `<p>${'a '.repeat(150000)}</p><p>tail</p>` });
+assert.ok(long.description.length <= 200000);
+assert.ok(!long.description.includes('tail'));
+assert.ok(Date.now() - startedAt < 2000, `${Date.now() - startedAt}ms かかりました`);
+console.log('✅ 長い入力の切り捨て');
+
+console.log('\n=== チェック完了 ===');
@@ -0,0 +1,312 @@
+// content-sanitizer.js
+// フィードの説明・本文の正規化（プレーンテキスト・許可リスト方式のHTML・メディア一覧）
+
+const { parseHtml, findAll, textContent, removeNode, VOID_ELEMENTS } = require('./html-parser');
+
+// 許可する要素と属性（それ以外の要素は中身のみ残す）
+const ALLOWED_TAGS = {
+  p: [], br: [], hr: [], ul: [], ol: [], li: [], dl: [], dt: [], dd: [],
+  strong: [], b: [], em: [], i: [], u: [], sub: [], sup: [], small: [],
+  blockquote: [], pre: [], code: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+  figure: [], figcaption: [], table: [], thead: [], tbody: [], tr: [],
+  th: ['colspan', 'rowspan'], td: ['colspan', 'rowspan'],
+  a: ['href', 'title'],
+  img: ['src', 'alt', 'width', 'height']
+};
+
+// 中身ごと削除する要素
+const DROPPED_TAGS = new Set([
+  'script', 'style', 'noscript', 'iframe', 'object', 'embed', 'applet', 'form', 'input', 'button',
+  'select', 'textarea', 'svg', 'math', 'template', 'head', 'title', 'meta', 'link', 'base'
+]);
+
+// プレーンテキストで段落として区切る要素
+const BLOCK_TAGS = new Set([
+  'p', 'div', 'section', 'article', 'header', 'footer', 'aside', 'main', 'ul', 'ol', 'li', 'dl', 'dt', 'dd',
+  'blockquote', 'pre', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'table', 'tr', 'figure', 'figcaption', 'hr'
+]);
+
+// 許可するURL（javascript: などは除去）
+const SAFE_URL_PATTERN = /^(https?:|mailto:)/i;
+
+// トラッキングピクセル・共有ボタンの画像
+const TRACKING_IMAGE_PATTERN = /\/(pixel|beacon|tracker|tracking|1x1|spacer|blank)\.(gif|png)(\?|$)|feedburner\.com\/~|feedsportal\.com|doubleclick\.net|stats\.wp\.com|pixel\.wp\.com/i;
+
+// 定型文（配信サービスが付加するフッター・「続きを読む」など、段落単位で判定）
+const BOILERPLATE_PATTERNS = [
+  /^the post .+ appeared first on .+$/i,
+  /^(continue reading|read more|read the full (story|article|release)|click here to read more)\b.{0,80}$/i,
+  /^view original content( to download multimedia)?:?.*$/i,
+  /^SOURCE\s+\S.{0,100}$/,
+  /^(続きを読む|全文を読む|(詳細|全文|続き)はこちら).{0,40}$/,
+  /^\[?(…|\.\.\.)\]?$/
+];
+
+// 末尾の省略記号（"[…]" など）
+const TRAILING_ELLIPSIS_PATTERN = /\s*\[(…|\.\.\.|&hellip;)\]\s*$/;
+
+// 1フィールドあたりの最大文字数（超えた分は解析せずに切り捨てる）
+const MAX_SOURCE_LENGTH = 200000;
+
+// メディア種別の判定（拡張子）
+const MEDIA_EXTENSIONS = [
+  ['image', /\.(jpe?g|png|gif|webp|avif|bmp|svg)(\?|#|$)/i],
+  ['video', /\.(mp4|m4v|mov|webm|ogv|m3u8)(\?|#|$)/i],
+  ['audio', /\.(mp3|m4a|aac|wav|ogg|oga|flac)(\?|#|$)/i]
+];
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+class ContentSanitizer {
+  // options.boilerplate: 追加の定型文パターン（正規表現の文字列。feeds.json の boilerplate）
+  constructor(options = {}) {
+    this.boilerplatePatterns = [
+      ...BOILERPLATE_PATTERNS,
+      ...(options.boilerplate || []).map(pattern => new RegExp(pattern, 'i'))
+    ];
+  }
+
+  // 1. フィードのアイテムを正規化
+  // 戻り値: { title, description, content, contentHtml, media }
+  //   description / content はプレーンテキスト、contentHtml は許可リストでサニタイズしたHTML
+  normalize(item, baseUrl) {
+    const descriptionSource = this.unescapeHtml(this.truncate(item.description || item.summary || ''));
+    const contentSource = this.unescapeHtml(this.truncate(item['content:encoded'] || item.content || ''));
+
+    const descriptionDocument = this.clean(parseHtml(descriptionSource), baseUrl);
+    const contentDocument = this.clean(parseHtml(contentSource), baseUrl);
+
+    // HTMLの本文がなければ説明をHTMLとして使う
+    const htmlDocument = contentSource ? contentDocument : descriptionDocument;
+
+    return {
+      title: this.toText(parseHtml(this.unescapeHtml(this.truncate(item.title || '')))).replace(/\s+/g, ' '),
+      description: this.toText(descriptionDocument),
+      content: this.toText(contentDocument),
+      contentHtml: this.toHtml(htmlDocument, baseUrl),
+      media: this.collectMedia(item, [contentDocument, descriptionDocument], baseUrl)
+    };
+  }
+
+  // 極端に長い入力の切り捨て（1件のアイテムで収集全体が止まらないように）
+  truncate(source) {
+    const text = String(source);
+    return text.length > MAX_SOURCE_LENGTH ? text.slice(0, MAX_SOURCE_LENGTH) : text;
+  }
+
+  // 二重にエスケープされたHTML（"&lt;p&gt;..."）を復元
+  unescapeHtml(source) {
+    const text = String(source);
+    if (text.includes('<') || !/&lt;\/?[a-z][^&]*&gt;/i.test(text)) return text;
+    return text.replace(/&lt;/gi, '<').replace(/&gt;/gi, '>').replace(/&quot;/gi, '"').replace(/&amp;/gi, '&');
+  }
+
+  // 2. 不要な要素の除去（スクリプト・トラッキングピクセル・定型文）
+  clean(document, baseUrl) {
+    findAll(document, node => DROPPED_TAGS.has(node.tag)).forEach(removeNode);
+    findAll(document, node => node.tag === 'img' && this.isTrackingImage(node, baseUrl)).forEach(removeNode);
+
+    // 定型文の段落・リンク（入れ子の内側から判定）
+    findAll(document, node => BLOCK_TAGS.has(node.tag) || node.tag === 'a')
+      .reverse()
+      .filter(node => node.parent && this.isBoilerplate(this.normalizeWhitespace(textContent(node))))
+      .forEach(removeNode);
+
+    // 段落のない説明文の末尾の定型文
+    const lastText = this.findLastText(document);
+    if (lastText) lastText.text = lastText.text.replace(TRAILING_ELLIPSIS_PATTERN, '');
+
+    return document;
+  }
+
+  isBoilerplate(text) {
+    return text.length > 0 && this.boilerplatePatterns.some(pattern => pattern.test(text));
+  }
+
+  // 1x1 画像・既知のトラッキングURL
+  isTrackingImage(node, baseUrl) {
+    const src = this.resolveUrl(node.attrs.src || node.attrs['data-src'] || '', baseUrl);
+    if (!src || !SAFE_URL_PATTERN.test(src)) return true;
+    const width = parseInt(node.attrs.width, 10);
+    const height = parseInt(node.attrs.height, 10);
+    if (width <= 1 || height <= 1) return true;
+    return TRACKING_IMAGE_PATTERN.test(src);
+  }
+
+  findLastText(node) {
+    for (let i = (node.children || []).length - 1; i >= 0; i--) {
+      const child = node.children[i];
+      if (child.type === 'text') {
+        if (child.text.trim()) return child;
+        continue;
+      }
+      const found = this.findLastText(child);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  // 3. プレーンテキスト（段落は空行、<br> は改行で区切る）
+  toText(document) {
+    const render = node => {
+      if (node.type === 'text') return node.text.replace(/\s+/g, ' ');
+      if (node.tag === 'br') return '\n';
+      if (node.tag === 'pre') return `\n\n${textContent(node)}\n\n`;
+      const inner = (node.children || []).map(render).join('');
+      return BLOCK_TAGS.has(node.tag) ? `\n\n${inner}\n\n` : inner;
+    };
+
+    return render(document)
+      .split(/\n{2,}/)
+      .map(paragraph => paragraph.split('\n').map(line => this.normalizeWhitespace(line)).filter(Boolean).join('\n'))
+      .filter(paragraph => paragraph && !this.isBoilerplate(paragraph))
+      .join('\n\n');
+  }
+
+  // 4. 許可リスト方式のHTML（許可外の要素は中身のみ、属性は許可したもののみ）
+  toHtml(document, baseUrl) {
+    const render = node => {
+      if (node.type === 'text') {
+        return escapeHtml(node.parent && node.parent.tag === 'pre' ? node.text : node.text.replace(/\s+/g, ' '));
+      }
+      const inner = (node.children || []).map(render).join('');
+      const allowed = ALLOWED_TAGS[node.tag];
+      if (!allowed) {
+        // 見出し h1 は h2 に、段落を含まないブロック要素（div など）は段落として残す
+        if (node.tag === 'h1') return `<h2>${inner}</h2>`;
+        const hasBlocks = node.children.some(child => child.type === 'element' && BLOCK_TAGS.has(child.tag));
+        return BLOCK_TAGS.has(node.tag) && !hasBlocks ? `<p>${inner}</p>` : inner;
+      }
+
+      const attrs = allowed
+        .map(name => [name, this.sanitizeAttribute(name, node.attrs[name], baseUrl)])
+        .filter(([, value]) => value !== null)
+        .map(([name, value]) => ` ${name}="${escapeHtml(value)}"`)
+        .join('');
+      if (node.tag === 'a' && attrs.includes(' href=')) {
+        return `<a${attrs} rel="nofollow noopener noreferrer">${inner}</a>`;
+      }
+      if (node.tag === 'img' && !attrs.includes(' src=')) return '';
+      return VOID_ELEMENTS.has(node.tag) ? `<${node.tag}${attrs}>` : `<${node.tag}${attrs}>${inner}</${node.tag}>`;
+    };
+
+    return render(document)
+      .replace(/<(p|li|h[2-6]|blockquote|figure)>\s*<\/\1>/g, '')
+      .trim();
+  }
+
+  sanitizeAttribute(name, value, baseUrl) {
+    if (value === undefined || value === null) return null;
+    const text = String(value).trim();
+    if (name === 'href' || name === 'src') {
+      const url = this.resolveUrl(text, baseUrl);
+      return SAFE_URL_PATTERN.test(url) ? url : null;
+    }
+    if (['width', 'height', 'colspan', 'rowspan'].includes(name)) {
+      return /^\d{1,4}$/.test(text) ? text : null;
+    }
+    return text || null;
+  }
+
+  // 5. メディア一覧（enclosure・media:content・media:thumbnail・本文中の画像/動画）
+  // 戻り値: [{ url, type: 'image' | 'video' | 'audio' | 'file', mimeType, width, height, length, caption, source }]
+  collectMedia(item, documents, baseUrl) {
+    const media = [];
+    const add = (url, source, details = {}) => {
+      const resolved = this.resolveUrl(String(url || '').trim(), baseUrl);
+      if (!resolved || !/^https?:/i.test(resolved) || media.some(entry => entry.url === resolved)) return;
+      if (TRACKING_IMAGE_PATTERN.test(resolved)) return;
+      const mimeType = details.mimeType || null;
+      media.push({
+        url: resolved,
+        type: this.getMediaType(resolved, mimeType, details.medium),
+        mimeType,
+        width: this.toInteger(details.width),
+        height: this.toInteger(details.height),
+        length: this.toInteger(details.length),
+        caption: details.caption ? this.normalizeWhitespace(details.caption) : null,
+        source
+      });
+    };
+
+    if (item.enclosure && item.enclosure.url) {
+      add(item.enclosure.url, 'enclosure', { mimeType: item.enclosure.type, length: item.enclosure.length });
+    }
+
+    // media:group 内の media:content も対象
+    const mediaContents = [
+      ...(item.mediaContent || []),
+      ...(item.mediaGroup || []).flatMap(group => (group && group['media:content']) || [])
+    ];
+    mediaContents.forEach(entry => {
+      const attrs = (entry && entry.$) || {};
+      const title = entry && entry['media:title'] ? entry['media:title'][0] : null;
+      add(attrs.url, 'media:content', {
+        mimeType: attrs.type,
+        medium: attrs.medium,
+        width: attrs.width,
+        height: attrs.height,
+        length: attrs.fileSize,
+        caption: typeof title === 'string' ? title : title && title._
+      });
+    });
+    (item.mediaThumbnail || []).forEach(entry => {
+      const attrs = (entry && entry.$) || {};
+      add(attrs.url, 'media:thumbnail', { medium: 'image', width: attrs.width, height: attrs.height });
+    });
+
+    documents.forEach(document => {
+      findAll(document, node => node.tag === 'img').forEach(image => {
+        add(image.attrs.src || image.attrs['data-src'], 'html', {
+          medium: 'image',
+          width: image.attrs.width,
+          height: image.attrs.height,
+          caption: image.attrs.alt || image.attrs.title
+        });
+      });
+      findAll(document, node => node.tag === 'video' || node.tag === 'audio').forEach(player => {
+        const sources = [player, ...findAll(player, node => node.tag === 'source')];
+        sources.forEach(source => add(source.attrs.src, 'html', { medium: player.tag, mimeType: source.attrs.type }));
+      });
+    });
+
+    return media;
+  }
+
+  getMediaType(url, mimeType, medium) {
+    if (['image', 'video', 'audio'].includes(medium)) return medium;
+    const prefix = (mimeType || '').split('/')[0].toLowerCase();
+    if (['image', 'video', 'audio'].includes(prefix)) return prefix;
+    const match = MEDIA_EXTENSIONS.find(([, pattern]) => pattern.test(url));
+    return match ? match[0] : 'file';
+  }
+
+  toInteger(value) {
+    const number = parseInt(value, 10);
+    return Number.isFinite(number) && number >= 0 ? number : null;
+  }
+
+  normalizeWhitespace(text) {
+    return text.replace(/\s+/g, ' ').trim();
+  }
+
+  // 相対URLを絶対URLに変換
+  resolveUrl(url, baseUrl) {
+    if (!url) return '';
+    try {
+      return new URL(url, baseUrl || undefined).toString();
+    } catch {
+      return url;
+    }
+  }
+}
+
+ContentSanitizer.ALLOWED_TAGS = ALLOWED_TAGS;
+
+module.exports = ContentSanitizer;
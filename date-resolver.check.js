@@ -0,0 +1,88 @@
+// date-resolver.check.js
+// 公開日時の解決のチェック（形式ごとの解釈・タイムゾーン・取得日時での代用）
+
+const assert = require('assert');
+const DateResolver = require('./date-resolver');
+
+const FETCHED_AT = new Date('2024-05-02T00:00:00Z');
+
+console.log('=== date-resolver チェック ===\n');
+
+const resolver = new DateResolver();
+const tokyo = new DateResolver({ timezone: 'Asia/Tokyo' });
+const newYork = new DateResolver({ timezone: 'America/New_York' });
+
+// 1. RFC 822（AM/PM・タイムゾーン略称）
+let parsed = resolver.parse('Wed, 01 May 2024 09:00:00 +0900');
+assert.strictEqual(parsed.date.toISOString(), '2024-05-01T00:00:00.000Z');
+assert.strictEqual(parsed.offset, '+09:00');
+assert.strictEqual(parsed.assumed, false);
+assert.strictEqual(resolver.parse('Wed, 1 May 2024 12:00 PM GMT').date.toISOString(), '2024-05-01T12:00:00.000Z');
+assert.strictEqual(resolver.parse('Wed, 1 May 2024 12:30 AM GMT').date.toISOString(), '2024-05-01T00:30:00.000Z');
+assert.strictEqual(resolver.parse('1 May 24 3:15 pm EDT').date.toISOString(), '2024-05-01T19:15:00.000Z');
+assert.strictEqual(resolver.parse('May 1, 2024 9:00 AM EDT').date.toISOString(), '2024-05-01T13:00:00.000Z');
+assert.strictEqual(resolver.parse('Wed, 01 May 2024 09:00:00 XYZ'), null);
+console.log('✅ RFC 822 の AM/PM とタイムゾーン略称');
+
+// 2. 和暦・日本語の日時
+parsed = tokyo.parse('令和6年5月1日（水）午後3時');
+assert.strictEqual(parsed.date.toISOString(), '2024-05-01T06:00:00.000Z');
+assert.strictEqual(parsed.offset, '+09:00');
+assert.strictEqual(parsed.assumed, true);
+assert.strictEqual(tokyo.parse('平成元年1月8日').date.toISOString(), '1989-01-07T15:00:00.000Z');
+assert.strictEqual(tokyo.parse('令和元年5月1日 午前0時').date.toISOString(), '2019-04-30T15:00:00.000Z');
+assert.strictEqual(tokyo.parse('２０２４年５月１日 ９時３０分').date.toISOString(), '2024-05-01T00:30:00.000Z');
+assert.strictEqual(resolver.parse('2024/05/01 09:00 JST').date.toISOString(), '2024-05-01T00:00:00.000Z');
+assert.strictEqual(tokyo.parse('令和6年2月30日'), null);
+console.log('✅ 和暦・全角数字・午前/午後');
+
+// 3. IANA タイムゾーン（オフセットのない日時、夏時間を考慮）
+parsed = newYork.parse('2024-07-01 09:00');
+assert.strictEqual(parsed.date.toISOString(), '2024-07-01T13:00:00.000Z');
+assert.strictEqual(parsed.offset, '-04:00');
+assert.strictEqual(newYork.parse('2024-01-15 09:00').offset, '-05:00');
+assert.strictEqual(resolver.parse('2024-05-01').date.toISOString(), '2024-05-01T00:00:00.000Z');
+assert.strictEqual(newYork.parse('2024-07-01T09:00:00+09:00').offset, '+09:00');
+console.log('✅ オフセットのない日時は設定のタイムゾーンで解釈');
+
+// 4. 公開日時の解決（フィールドの優先順とフラグ）
+let result = tokyo.resolve({ pubDate: '2024-05-01 10:00', isoDate: '2024-05-01T10:00:00.000Z' }, FETCHED_AT);
+assert.strictEqual(result.date.toISOString(), '2024-05-01T01:00:00.000Z');
+assert.deepStrictEqual(result.info, { source: 'pubDate', raw: '2024-05-01 10:00', offset: '+09:00', flags: ['timezone_assumed'] });
+
+result = resolver.resolve({ published: '2024-05-01T09:00:00+09:00', pubDate: 'Wed, 01 May 2024 00:00:00 GMT' }, FETCHED_AT);
+assert.strictEqual(result.info.source, 'published');
+assert.strictEqual(result.info.offset, '+09:00');
+console.log('✅ フィールドの優先順と推定したタイムゾーンのフラグ');
+
+// 5. 取得日時での代用
+result = resolver.resolve({}, FETCHED_AT);
+assert.strictEqual(result.date.toISOString(), FETCHED_AT.toISOString());
+assert.deepStrictEqual(result.info, { source: 'fetchedAt', raw: null, offset: null, flags: ['missing'] });
+assert.deepStrictEqual(result.warnings, ['公開日時がありません']);
+
+result = resolver.resolve({ pubDate: 'sometime last week' }, FETCHED_AT);
+assert.strictEqual(result.info.source, 'fetchedAt');
+assert.strictEqual(result.info.raw, 'sometime last week');
+assert.deepStrictEqual(result.info.flags, ['unparsed']);
+
+result = resolver.resolve({ pubDate: 'Thu, 01 Jan 1970 00:00:00 GMT' }, FETCHED_AT);
+assert.deepStrictEqual(result.info.flags, ['implausible']);
+assert.strictEqual(result.info.original.toISOString(), '1970-01-01T00:00:00.000Z');
+
+result = resolver.resolve({ pubDate: 'Fri, 03 May 2024 00:00:00 GMT' }, FETCHED_AT);
+assert.strictEqual(result.date.toISOString(), FETCHED_AT.toISOString());
+assert.deepStrictEqual(result.info.flags, ['future']);
+assert.strictEqual(result.info.raw, 'Fri, 03 May 2024 00:00:00 GMT');
+
+// 未来の日時でも許容範囲（1時間）内なら採用
+result = resolver.resolve({ pubDate: 'Thu, 02 May 2024 00:30:00 GMT' }, FETCHED_AT);
+assert.strictEqual(result.info.source, 'pubDate');
+
+// 不正な日時の後に使える日時があれば採用し、フラグは残す
+result = resolver.resolve({ pubDate: 'Fri, 03 May 2024 00:00:00 GMT', updated: '2024-05-01T00:00:00Z' }, FETCHED_AT);
+assert.strictEqual(result.info.source, 'updated');
+assert.deepStrictEqual(result.info.flags, ['future']);
+console.log('✅ 日時がない・解釈できない・不正な場合は取得日時で代用し、フラグを記録');
+
+console.log('\n=== チェック完了 ===');
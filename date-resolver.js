@@ -0,0 +1,237 @@
+// date-resolver.js
+// 公開日時の解決（複数フィールド・複数形式を解釈し、UTC に正規化して元のオフセットを保持）
+
+// 参照するフィールド（優先順）
+// rss-parser の pubDate / isoDate は Atom では UTC に変換済みのため、元の published を優先する
+const DATE_FIELDS = ['published', 'pubDate', 'dc:date', 'dcterms:issued', 'isoDate', 'updated', 'dcterms:modified'];
+
+// 未来の日時として扱うまでの許容範囲（配信元と時計のずれ）
+const FUTURE_TOLERANCE_MS = 60 * 60 * 1000;
+
+// これより前の日時は不正とみなす（0 や 1970-01-01 など）
+const MIN_PLAUSIBLE_DATE = Date.UTC(1995, 0, 1);
+
+const MONTHS = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, sept: 9, oct: 10, nov: 11, dec: 12,
+  january: 1, february: 2, march: 3, april: 4, june: 6, july: 7, august: 8,
+  september: 9, october: 10, november: 11, december: 12
+};
+
+// タイムゾーン略称のオフセット（分）
+const ZONE_OFFSETS = {
+  z: 0, ut: 0, utc: 0, gmt: 0,
+  est: -300, edt: -240, cst: -360, cdt: -300, mst: -420, mdt: -360, pst: -480, pdt: -420,
+  bst: 60, cet: 60, cest: 120, eet: 120, eest: 180,
+  jst: 540, kst: 540, aest: 600, aedt: 660, ist: 330
+};
+
+// 和暦の元年（西暦 = 元年 + 年 - 1）
+const ERAS = { 令和: 2019, 平成: 1989 };
+
+// 1. ISO 8601（2024-05-01T09:00:00+09:00, 2024-05-01 09:00, 2024-05-01）
+const ISO_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[T\s](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d+))?)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i;
+
+// 2. RFC 822 / 1123（Wed, 01 May 2024 09:00:00 +0900, Wed, 1 May 2024 12:00 PM）と "May 1, 2024 9:00 AM EDT" 形式
+const RFC822_PATTERN = /^(?:[a-z]{3,9},?\s+)?(\d{1,2})\s+([a-z]{3,9})\.?\s+(\d{2,4})(?:\s+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(am|pm)?)?\s*([+-]\d{4}|[a-z]{1,5})?$/i;
+const US_PATTERN = /^(?:[a-z]{3,9},?\s+)?([a-z]{3,9})\.?\s+(\d{1,2}),?\s+(\d{4})(?:,?\s+(?:at\s+)?(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(am|pm)?)?\s*([+-]\d{4}|[a-z]{1,5})?$/i;
+
+// 3. 日本語（2024年5月1日 9時30分, 令和6年5月1日（水）午後3時, 2024/05/01 09:00）
+const JAPANESE_PATTERN = /^(?:(令和|平成)(\d{1,2}|元)|(\d{4}))[年/.-](\d{1,2})[月/.-](\d{1,2})日?\s*(?:[(（][^)）]*[)）])?\s*(?:(午前|午後)?\s*(\d{1,2})[時:](?:(\d{1,2})分?)?(?::(\d{1,2})秒?)?)?\s*(jst|utc|gmt|[+-]\d{2}:?\d{2})?$/i;
+
+class DateResolver {
+  // options.timezone: オフセットのない日時を解釈するタイムゾーン（IANA 名、デフォルト UTC）
+  constructor(options = {}) {
+    this.timezone = options.timezone || 'UTC';
+  }
+
+  // 1. アイテムの公開日時を解決
+  // fetchedAt: 取得日時（日時がない・不正な場合の代わり、未来判定の基準）
+  // 戻り値: { date, info: { source, raw, offset, flags }, warnings }
+  //   flags: 'missing' | 'unparsed' | 'future' | 'implausible' | 'timezone_assumed'
+  resolve(item, fetchedAt = new Date()) {
+    const flags = new Set();
+    const warnings = [];
+    let rejected = null;
+    let unparsed = null;
+
+    for (const field of DATE_FIELDS) {
+      // isoDate は rss-parser が pubDate から変換した値のため、pubDate がある場合は参照しない
+      if (field === 'isoDate' && item.pubDate) continue;
+      const raw = this.getFieldValue(item[field]);
+      if (!raw) continue;
+
+      const parsed = this.parse(raw);
+      if (!parsed) {
+        flags.add('unparsed');
+        warnings.push(`公開日時を解釈できません (${field}: ${raw})`);
+        if (!unparsed) unparsed = raw;
+        continue;
+      }
+
+      const problem = this.checkPlausibility(parsed.date, fetchedAt);
+      if (problem) {
+        flags.add(problem);
+        warnings.push(problem === 'future'
+          ? `公開日時が未来です (${field}: ${raw})`
+          : `公開日時が不正です (${field}: ${raw})`);
+        if (!rejected) rejected = { field, raw, parsed };
+        continue;
+      }
+
+      if (parsed.assumed) flags.add('timezone_assumed');
+      return {
+        date: parsed.date,
+        info: { source: field, raw, offset: parsed.offset, flags: [...flags] },
+        warnings
+      };
+    }
+
+    // 使える日時がない場合は取得日時（不正・解釈できない日時は元の値を記録）
+    if (!rejected && flags.size === 0) {
+      flags.add('missing');
+      warnings.push('公開日時がありません');
+    }
+    return {
+      date: new Date(fetchedAt),
+      info: {
+        source: 'fetchedAt',
+        raw: rejected ? rejected.raw : unparsed,
+        offset: rejected ? rejected.parsed.offset : null,
+        ...(rejected ? { original: rejected.parsed.date } : {}),
+        flags: [...flags]
+      },
+      warnings
+    };
+  }
+
+  getFieldValue(value) {
+    if (value instanceof Date) return isNaN(value.getTime()) ? null : value.toISOString();
+    if (value && typeof value === 'object' && typeof value._ === 'string') value = value._;
+    return typeof value === 'string' && value.trim() ? value.trim() : null;
+  }
+
+  // 2. 未来・不正な日時の判定
+  checkPlausibility(date, fetchedAt) {
+    if (date.getTime() < MIN_PLAUSIBLE_DATE) return 'implausible';
+    if (date.getTime() > new Date(fetchedAt).getTime() + FUTURE_TOLERANCE_MS) return 'future';
+    return null;
+  }
+
+  // 3. 日時文字列の解釈
+  // 戻り値: { date, offset: '+09:00' など, assumed: オフセットを補ったか } または null
+  parse(raw) {
+    const text = raw.normalize('NFKC').replace(/\s+/g, ' ').trim();
+    let match;
+
+    if ((match = text.match(ISO_PATTERN))) {
+      const [, year, month, day, hour = 0, minute = 0, second = 0, fraction = '0', zone] = match;
+      const millisecond = Math.round(Number(`0.${fraction}`) * 1000);
+      return this.build([year, month, day, hour, minute, second, millisecond], zone);
+    }
+
+    if ((match = text.match(RFC822_PATTERN))) {
+      const [, day, monthName, year, hour = 0, minute = 0, second = 0, meridiem, zone] = match;
+      const month = MONTHS[monthName.toLowerCase()];
+      if (month) return this.build([this.expandYear(year), month, day, this.to24Hour(hour, meridiem), minute, second, 0], zone);
+    }
+
+    if ((match = text.match(US_PATTERN))) {
+      const [, monthName, day, year, hour = 0, minute = 0, second = 0, meridiem, zone] = match;
+      const month = MONTHS[monthName.toLowerCase()];
+      if (month) return this.build([year, month, day, this.to24Hour(hour, meridiem), minute, second, 0], zone);
+    }
+
+    if ((match = text.match(JAPANESE_PATTERN))) {
+      const [, era, eraYear, year, month, day, meridiem, hour = 0, minute = 0, second = 0, zone] = match;
+      const fullYear = era ? ERAS[era] + (eraYear === '元' ? 1 : Number(eraYear)) - 1 : Number(year);
+      const halfDay = meridiem === '午後' ? 'pm' : meridiem === '午前' ? 'am' : undefined;
+      return this.build([fullYear, month, day, this.to24Hour(hour, halfDay), minute, second, 0], zone);
+    }
+
+    // その他の形式は明示的なオフセットがある場合のみ Date に任せる（ない場合は実行環境の時刻として解釈されるため）
+    const zoneMatch = text.match(/([+-]\d{2}:?\d{2}|\b(?:gmt|utc)\b)(?!.*[+-]\d{2}:?\d{2})/i);
+    const date = new Date(text);
+    if (zoneMatch && !isNaN(date.getTime())) {
+      const offsetMinutes = this.parseZone(zoneMatch[1]);
+      return { date, offset: this.formatOffset(offsetMinutes || 0), assumed: false };
+    }
+
+    return null;
+  }
+
+  expandYear(year) {
+    const value = Number(year);
+    if (year.length === 4) return value;
+    return value < 70 ? 2000 + value : 1900 + value;
+  }
+
+  to24Hour(hour, meridiem) {
+    const value = Number(hour);
+    if (!meridiem) return value;
+    if (meridiem.toLowerCase() === 'pm') return value % 12 + 12;
+    return value % 12;
+  }
+
+  // 日時の組み立て（オフセットがなければ設定のタイムゾーンで解釈）
+  build(parts, zone) {
+    const [year, month, day, hour, minute, second, millisecond] = parts.map(Number);
+    if (month < 1 || month > 12 || day < 1 || day > 31 || hour > 23 || minute > 59 || second > 60) return null;
+
+    const localTime = Date.UTC(year, month - 1, day, hour, minute, second, millisecond);
+    // 存在しない日付（2月30日など）
+    if (new Date(localTime).getUTCDate() !== day) return null;
+
+    let offsetMinutes = this.parseZone(zone);
+    const assumed = offsetMinutes === null;
+    if (assumed) {
+      if (zone) return null; // 未知のタイムゾーン略称
+      offsetMinutes = this.getZoneOffset(localTime);
+    }
+
+    return {
+      date: new Date(localTime - offsetMinutes * 60000),
+      offset: this.formatOffset(offsetMinutes),
+      assumed
+    };
+  }
+
+  // タイムゾーン表記のオフセット（分）。未指定・未知の場合は null
+  parseZone(zone) {
+    if (!zone) return null;
+    const match = zone.match(/^([+-])(\d{2}):?(\d{2})$/);
+    if (match) {
+      const minutes = Number(match[2]) * 60 + Number(match[3]);
+      return match[1] === '-' ? -minutes : minutes;
+    }
+    const offset = ZONE_OFFSETS[zone.toLowerCase()];
+    return offset === undefined ? null : offset;
+  }
+
+  // 設定のタイムゾーンでの現地時刻 localTime のオフセット（夏時間を考慮）
+  getZoneOffset(localTime) {
+    const offsetAt = time => {
+      const parts = {};
+      new Intl.DateTimeFormat('en-US', {
+        timeZone: this.timezone,
+        hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', second: '2-digit'
+      }).formatToParts(new Date(time)).forEach(({ type, value }) => { parts[type] = Number(value); });
+      const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+      return Math.round((asUtc - Math.floor(time / 1000) * 1000) / 60000);
+    };
+    const guess = offsetAt(localTime);
+    return offsetAt(localTime - guess * 60000);
+  }
+
+  formatOffset(minutes) {
+    if (minutes === 0) return 'Z';
+    const sign = minutes < 0 ? '-' : '+';
+    const absolute = Math.abs(minutes);
+    return `${sign}${String(Math.floor(absolute / 60)).padStart(2, '0')}:${String(absolute % 60).padStart(2, '0')}`;
+  }
+}
+
+DateResolver.DATE_FIELDS = DATE_FIELDS;
+
+module.exports = DateResolver;
@@ -0,0 +1,243 @@
+// dedupe-index.js
+// MinHash / LSH による重複候補インデックス
+
+const { COLLECTIONS } = require('./storage');
+
+const INDEX_COLLECTION = COLLECTIONS.DEDUPE_INDEX;
+const NEWS_COLLECTION = COLLECTIONS.NEWS;
+
+// 本文（タイトル + 概要）用: 128ハッシュ = 32バンド × 4行（類似度 約0.4以上を候補化）
+const CONTENT_BANDS = 32;
+const CONTENT_ROWS = 4;
+// タイトル用: 64ハッシュ = 16バンド × 4行（類似度 約0.5以上を候補化）
+const TITLE_BANDS = 16;
+const TITLE_ROWS = 4;
+// 記事ページの本文用（本文を取得した記事のみ）: 本文と同じ 32バンド × 4行
+const FULLTEXT_BANDS = 32;
+const FULLTEXT_ROWS = 4;
+
+// FNV-1a 32bit ハッシュ
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// murmur3 の最終ミキサー
+function mix32(value) {
+  let h = value;
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+// ハッシュ関数ごとのシード（固定値なので保存済みシグネチャと互換）
+function createSeeds(count, offset) {
+  return Array.from({ length: count }, (_, i) => mix32((i + offset) * 0x9e3779b1));
+}
+
+const CONTENT_SEEDS = createSeeds(CONTENT_BANDS * CONTENT_ROWS, 1);
+const TITLE_SEEDS = createSeeds(TITLE_BANDS * TITLE_ROWS, 1001);
+const FULLTEXT_SEEDS = createSeeds(FULLTEXT_BANDS * FULLTEXT_ROWS, 2001);
+
+class NearDuplicateIndex {
+  // storage: ストレージバックエンド
+  // detector: AdvancedDuplicateDetector（tokenize / cleanUrl を再利用）
+  constructor(storage, detector) {
+    this.storage = storage;
+    this.detector = detector;
+    this.entries = new Map();   // articleId → { publishedAt, urls, bucketKeys }
+    this.buckets = new Map();   // bucketKey → Set(articleId)
+    this.urls = new Map();      // 正規化URL → Set(articleId)
+    this.loaded = false;
+  }
+
+  // 1. MinHashシグネチャ計算
+  computeSignature(tokens, seeds) {
+    const signature = new Array(seeds.length).fill(0xffffffff);
+    new Set(tokens).forEach(token => {
+      const base = fnv1a(token);
+      for (let i = 0; i < seeds.length; i++) {
+        const value = mix32(base ^ seeds[i]);
+        if (value < signature[i]) signature[i] = value;
+      }
+    });
+    return signature;
+  }
+
+  // 2. シグネチャをLSHバケットのキーに変換
+  bucketKeys(prefix, signature, bands, rows) {
+    if (signature.every(value => value === 0xffffffff)) return [];
+    const keys = [];
+    for (let band = 0; band < bands; band++) {
+      const slice = signature.slice(band * rows, (band + 1) * rows);
+      keys.push(`${prefix}${band}:${fnv1a(slice.join(','))}`);
+    }
+    return keys;
+  }
+
+  // 3. 記事から索引エントリを作成
+  // 本文を取得した記事は本文のシグネチャと canonical URL も登録（概要が短い・リンクが異なる転載記事も候補にする）
+  buildEntry(article) {
+    const contentTokens = this.detector.tokenize(`${article.title} ${article.description}`);
+    const titleTokens = this.detector.tokenize(article.title);
+
+    return {
+      signature: this.computeSignature(contentTokens, CONTENT_SEEDS),
+      titleSignature: this.computeSignature(titleTokens, TITLE_SEEDS),
+      fullTextSignature: article.fullText
+        ? this.computeSignature(this.detector.tokenize(article.fullText), FULLTEXT_SEEDS)
+        : null,
+      url: this.detector.cleanUrl(article.link || ''),
+      canonicalUrl: article.canonicalUrl ? this.detector.cleanUrl(article.canonicalUrl) : null,
+      publishedAt: article.publishedAt instanceof Date ? article.publishedAt : new Date(article.publishedAt),
+      indexedAt: new Date()
+    };
+  }
+
+  // エントリのLSHバケットのキー（本文・タイトル・記事ページの本文）
+  entryBucketKeys(entry) {
+    return [
+      ...this.bucketKeys('c', entry.signature, CONTENT_BANDS, CONTENT_ROWS),
+      ...this.bucketKeys('t', entry.titleSignature, TITLE_BANDS, TITLE_ROWS),
+      ...(entry.fullTextSignature ? this.bucketKeys('f', entry.fullTextSignature, FULLTEXT_BANDS, FULLTEXT_ROWS) : [])
+    ];
+  }
+
+  // エントリの正規化URL（リンクと canonical URL）
+  entryUrls(entry) {
+    return [...new Set([entry.url, entry.canonicalUrl].filter(Boolean))];
+  }
+
+  // 4. メモリ上のインデックスに追加
+  addToMemory(id, entry) {
+    this.removeFromMemory(id);
+
+    const keys = this.entryBucketKeys(entry);
+    keys.forEach(key => {
+      if (!this.buckets.has(key)) this.buckets.set(key, new Set());
+      this.buckets.get(key).add(id);
+    });
+    const urls = this.entryUrls(entry);
+    urls.forEach(url => {
+      if (!this.urls.has(url)) this.urls.set(url, new Set());
+      this.urls.get(url).add(id);
+    });
+
+    this.entries.set(id, { publishedAt: new Date(entry.publishedAt), urls, bucketKeys: keys });
+  }
+
+  // 5. メモリ上のインデックスから削除
+  removeFromMemory(id) {
+    const existing = this.entries.get(id);
+    if (!existing) return;
+    existing.bucketKeys.forEach(key => {
+      const bucket = this.buckets.get(key);
+      if (!bucket) return;
+      bucket.delete(id);
+      if (bucket.size === 0) this.buckets.delete(key);
+    });
+    existing.urls.forEach(url => {
+      const urlSet = this.urls.get(url);
+      if (!urlSet) return;
+      urlSet.delete(id);
+      if (urlSet.size === 0) this.urls.delete(url);
+    });
+    this.entries.delete(id);
+  }
+
+  // 6. 記事の登録（保存時に呼ぶ）
+  async indexArticle(article) {
+    const entry = this.buildEntry(article);
+    await this.storage.set(INDEX_COLLECTION, article.id, entry);
+    this.addToMemory(article.id, entry);
+  }
+
+  // 7. 記事の削除
+  async removeArticle(id) {
+    await this.storage.delete(INDEX_COLLECTION, id);
+    this.removeFromMemory(id);
+  }
+
+  // 8. 保存済みインデックスの読み込み（1回の実行で1度だけ）
+  async load(force = false) {
+    if (this.loaded && !force) return;
+
+    const entries = await this.storage.query(INDEX_COLLECTION);
+    this.entries.clear();
+    this.buckets.clear();
+    this.urls.clear();
+    entries.forEach(({ id, ...entry }) => this.addToMemory(id, entry));
+    this.loaded = true;
+  }
+
+  // 9. 全記事からインデックスを再構築
+  async rebuild() {
+    const articles = await this.storage.query(NEWS_COLLECTION);
+    for (const article of articles) {
+      await this.indexArticle(article);
+    }
+    this.loaded = true;
+    return articles.length;
+  }
+
+  // 10. 重複候補のID（同一URL・canonical URL または LSHバケットの衝突）
+  // options.since: これより古い記事は除外
+  findCandidateIds(article, options = {}) {
+    const entry = this.buildEntry(article);
+    const candidates = new Set();
+
+    this.entryUrls(entry).forEach(url => {
+      (this.urls.get(url) || []).forEach(id => candidates.add(id));
+    });
+    this.entryBucketKeys(entry).forEach(key => {
+      (this.buckets.get(key) || []).forEach(id => candidates.add(id));
+    });
+    candidates.delete(article.id);
+
+    return [...candidates]
+      .filter(id => !options.since || this.entries.get(id).publishedAt >= options.since)
+      .sort((a, b) => this.entries.get(b).publishedAt - this.entries.get(a).publishedAt);
+  }
+
+  // 11. 重複候補の記事を取得（新しい順）
+  async findCandidates(article, options = {}) {
+    await this.load();
+
+    const candidates = [];
+    for (const id of this.findCandidateIds(article, options)) {
+      const candidate = await this.storage.get(NEWS_COLLECTION, id);
+      if (candidate) candidates.push(candidate);
+    }
+    return candidates;
+  }
+}
+
+// インデックスの再構築（既存記事の取り込み）
+async function rebuildIndex() {
+  const ToyotaNewsCollector = require('./rss-collector');
+  const collector = new ToyotaNewsCollector();
+  try {
+    console.log('🧬 重複検出インデックスを再構築中...');
+    const count = await collector.dedupeIndex.rebuild();
+    console.log(`✅ ${count} 件の記事を登録しました`);
+  } finally {
+    await collector.cleanup();
+  }
+}
+
+// スクリプト直接実行時
+if (require.main === module) {
+  rebuildIndex().catch(error => {
+    console.error('❌ インデックス再構築エラー:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = NearDuplicateIndex;
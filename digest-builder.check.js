@@ -0,0 +1,201 @@
+// digest-builder.check.js
+// ダイジェストのチェック（集計・Markdown / HTML の出力、メールは受信内容を記録するローカルSMTPサーバーに送る）
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const net = require('net');
+const DigestBuilder = require('./digest-builder');
+
+const END = new Date('2024-05-02T00:00:00Z');
+
+const ARTICLES = [
+  {
+    title: 'Toyota announces new hybrid model',
+    link: 'https://example.com/news/1',
+    source: 'Toyota Global',
+    sources: ['Toyota Global', 'Toyota Japan'],
+    alternativeLinks: ['https://example.jp/news/1'],
+    category: 'official',
+    tags: ['hybrid'],
+    publishedAt: new Date('2024-05-01T09:00:00Z')
+  },
+  {
+    title: 'Prius <b>recall</b> & [update]',
+    link: 'https://example.com/news/2?a=1&b=2',
+    source: 'Toyota Global',
+    category: 'official',
+    tags: [],
+    publishedAt: new Date('2024-05-01T10:00:00Z')
+  },
+  {
+    title: 'トヨタ、EV戦略を発表',
+    link: 'https://example.com/news/3',
+    source: 'Auto News',
+    category: 'media',
+    tags: ['ev'],
+    publishedAt: new Date('2024-05-01T11:00:00Z')
+  }
+];
+
+// queryArticles とフィード一覧だけを持つ収集処理の代わり
+const collector = {
+  queries: [],
+  feedRegistry: {
+    getAllFeeds: () => [{ category: 'official' }, { category: 'media' }]
+  },
+  async queryArticles(options) {
+    this.queries.push(options);
+    return ARTICLES;
+  }
+};
+
+console.log('=== digest-builder チェック ===\n');
+
+// コマンドとDATAの内容を記録するSMTPサーバー（STARTTLSは提示しない）
+function startSmtpServer() {
+  const sessions = [];
+  const server = net.createServer(socket => {
+    const session = { commands: [], data: null };
+    sessions.push(session);
+    let buffer = '';
+    let inData = false;
+    socket.setEncoding('utf8');
+    socket.write('220 localhost ESMTP check\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk;
+      let index;
+      while (true) {
+        if (inData) {
+          index = buffer.indexOf('\r\n.\r\n');
+          if (index === -1) return;
+          session.data = buffer.slice(0, index);
+          buffer = buffer.slice(index + 5);
+          inData = false;
+          socket.write('250 OK queued\r\n');
+          continue;
+        }
+        index = buffer.indexOf('\r\n');
+        if (index === -1) return;
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        session.commands.push(line);
+        const verb = line.split(' ')[0].toUpperCase();
+        if (verb === 'EHLO') {
+          socket.write('250-localhost\r\n250-AUTH PLAIN\r\n250 8BITMIME\r\n');
+        } else if (verb === 'AUTH') {
+          socket.write('235 Authenticated\r\n');
+        } else if (verb === 'DATA') {
+          inData = true;
+          socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+        } else if (verb === 'QUIT') {
+          socket.end('221 Bye\r\n');
+          return;
+        } else {
+          socket.write('250 OK\r\n');
+        }
+      }
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, sessions })));
+}
+
+// multipart/alternative から各パートを取り出して base64 を戻す
+function parseMessage(data) {
+  const head = data.split('\r\n\r\n')[0];
+  const headers = {};
+  head.split('\r\n').forEach(line => {
+    const separator = line.indexOf(':');
+    headers[line.slice(0, separator).toLowerCase()] = line.slice(separator + 1).trim();
+  });
+  const boundary = headers['content-type'].match(/boundary="([^"]+)"/)[1];
+  const parts = {};
+  data.split(`--${boundary}`).slice(1, -1).forEach(part => {
+    const [partHead, body] = part.replace(/^\r\n/, '').split('\r\n\r\n');
+    const type = partHead.match(/Content-Type: ([^;]+)/)[1];
+    parts[type] = Buffer.from(body.replace(/\r\n/g, ''), 'base64').toString('utf8');
+  });
+  return { headers, parts };
+}
+
+(async () => {
+  const builder = new DigestBuilder(collector, { timezone: 'UTC' });
+
+  // 1. 集計
+  const digest = await builder.build('daily', END);
+  assert.strictEqual(collector.queries[0].from.toISOString(), '2024-05-01T00:00:00.000Z');
+  assert.strictEqual(digest.total, 3);
+  assert.deepStrictEqual(digest.sections.map(section => [section.category, section.total]), [['official', 2], ['media', 1]]);
+  assert.deepStrictEqual(digest.sections[0].groups.map(group => group.tag), ['hybrid', 'その他']);
+  console.log('✅ 期間内の記事をカテゴリ・タグ別にまとめる');
+
+  await assert.rejects(() => builder.build('monthly', END), /未対応のダイジェスト期間/);
+  console.log('✅ 未対応の期間はエラー');
+
+  // 2. 描画
+  const markdown = builder.renderMarkdown(digest);
+  assert.ok(markdown.startsWith('# Toyota News デイリーダイジェスト (2024/5/2)'));
+  assert.ok(markdown.includes('- [Toyota announces new hybrid model](https://example.com/news/1) — Toyota Global, Toyota Japan (2024/5/1)'));
+  assert.ok(markdown.includes('  - 関連: https://example.jp/news/1'));
+  assert.ok(markdown.includes('[Prius <b>recall</b> & \\[update\\]]'));
+  console.log('✅ Markdown に統合元の配信元と関連リンクを含める');
+
+  const html = builder.renderHtml(digest);
+  assert.ok(html.includes('<a href="https://example.com/news/2?a=1&amp;b=2">Prius &lt;b&gt;recall&lt;/b&gt; &amp; [update]</a>'));
+  assert.ok(!html.includes('<b>recall'));
+  console.log('✅ HTML はタイトルとリンクをエスケープ');
+
+  // 3. 出力
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'digest-check-'));
+  try {
+    const result = await new DigestBuilder(collector, { timezone: 'UTC', outputDir: dir }).deliver(digest);
+    assert.deepStrictEqual(result.files.map(file => path.basename(file)), ['digest-daily-2024-05-02.md', 'digest-daily-2024-05-02.html']);
+    assert.strictEqual(fs.readFileSync(result.files[0], 'utf8'), markdown);
+    assert.strictEqual(result.mailed, false);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  console.log('✅ outputDir に Markdown と HTML を書き出す');
+
+  const { server, sessions } = await startSmtpServer();
+  const mailer = new DigestBuilder(collector, {
+    timezone: 'UTC',
+    mail: {
+      from: 'Toyota News <digest@example.com>',
+      to: ['a@example.com', 'b@example.com'],
+      smtp: { host: '127.0.0.1', port: server.address().port, user: 'user', pass: 'pass', timeoutMs: 5000 }
+    }
+  });
+  const result = await mailer.deliver(digest);
+  assert.strictEqual(result.mailed, true);
+
+  const [session] = sessions;
+  const credentials = Buffer.from('\0user\0pass').toString('base64');
+  assert.deepStrictEqual(session.commands.filter(line => !line.startsWith('EHLO')), [
+    `AUTH PLAIN ${credentials}`,
+    'MAIL FROM:<digest@example.com>',
+    'RCPT TO:<a@example.com>',
+    'RCPT TO:<b@example.com>',
+    'DATA',
+    'QUIT'
+  ]);
+
+  const { headers, parts } = parseMessage(session.data);
+  assert.strictEqual(headers.to, 'a@example.com, b@example.com');
+  assert.strictEqual(Buffer.from(headers.subject.match(/^=\?UTF-8\?B\?(.+)\?=$/)[1], 'base64').toString('utf8'), digest.title);
+  assert.strictEqual(parts['text/plain'], markdown);
+  assert.strictEqual(parts['text/html'], html);
+  server.close();
+  console.log('✅ SMTPでテキストとHTMLの両方を送る');
+
+  const unconfigured = new DigestBuilder(collector, { mail: { to: ['a@example.com'] } });
+  unconfigured.mailFrom = null;
+  await assert.rejects(() => unconfigured.deliver(digest), /DIGEST_FROM/);
+  console.log('✅ 送信元が未設定ならエラー');
+
+  console.log('\n=== チェック完了 ===');
+})().catch(error => {
+  console.log('❌ チェック失敗:', error.message);
+  process.exit(1);
+});
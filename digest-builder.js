@@ -0,0 +1,239 @@
+// digest-builder.js
+// 日次・週次ダイジェストの生成（カテゴリ・タグ別、Markdown / HTML、ファイル出力・メール送信）
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const SmtpClient = require('./smtp-client');
+
+// 期間ごとの集計範囲
+const PERIODS = {
+  daily: { label: 'デイリー', days: 1 },
+  weekly: { label: 'ウィークリー', days: 7 }
+};
+
+// 1回のダイジェストに含める記事数の上限
+const MAX_ARTICLES = 500;
+
+const UNTAGGED = 'その他';
+
+// HTMLエスケープ
+function escapeHtml(text) {
+  return String(text === undefined || text === null ? '' : text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+class DigestBuilder {
+  // options.outputDir: Markdown / HTML の出力先
+  // options.mail: { from, to, smtp }（to 未指定ならメール送信しない）
+  // options.timezone: 日付表示のタイムゾーン
+  constructor(collector, options = {}) {
+    this.collector = collector;
+    this.outputDir = options.outputDir || process.env.DIGEST_DIR || null;
+    const mail = options.mail || {};
+    this.mailFrom = mail.from || process.env.DIGEST_FROM || null;
+    this.mailTo = mail.to || (process.env.DIGEST_TO ? process.env.DIGEST_TO.split(',').map(to => to.trim()) : []);
+    this.smtpOptions = mail.smtp || {};
+    this.timezone = options.timezone || process.env.SCHEDULE_TIMEZONE || 'Asia/Tokyo';
+  }
+
+  // 1. 期間内の記事を取得してカテゴリ・タグ別にまとめる
+  // 統合済みの記事は1件として扱い、sources に全配信元を持つ
+  async build(period = 'daily', end = new Date()) {
+    if (!PERIODS[period]) {
+      throw new Error(`未対応のダイジェスト期間: ${period}`);
+    }
+    const to = new Date(end);
+    const from = new Date(to.getTime() - PERIODS[period].days * 24 * 60 * 60 * 1000);
+
+    const articles = await this.collector.queryArticles({ from, to, limit: MAX_ARTICLES });
+
+    // カテゴリはフィード設定の順、タグは件数の多い順
+    const categoryOrder = [...new Set(this.collector.feedRegistry.getAllFeeds().map(feed => feed.category))];
+    const categories = new Map();
+    articles.forEach(article => {
+      const category = article.category || UNTAGGED;
+      const tag = (article.tags && article.tags[0]) || UNTAGGED;
+      if (!categories.has(category)) categories.set(category, new Map());
+      const tags = categories.get(category);
+      if (!tags.has(tag)) tags.set(tag, []);
+      tags.get(tag).push(article);
+    });
+
+    const rank = category => {
+      const index = categoryOrder.indexOf(category);
+      return index === -1 ? categoryOrder.length : index;
+    };
+    const sections = [...categories.entries()]
+      .sort(([a], [b]) => rank(a) - rank(b))
+      .map(([category, tags]) => ({
+        category,
+        total: [...tags.values()].reduce((sum, list) => sum + list.length, 0),
+        groups: [...tags.entries()]
+          .sort(([tagA, a], [tagB, b]) => (tagA === UNTAGGED) - (tagB === UNTAGGED) || b.length - a.length)
+          .map(([tag, list]) => ({ tag, articles: list }))
+      }));
+
+    return {
+      period,
+      title: `Toyota News ${PERIODS[period].label}ダイジェスト (${this.formatDate(to)})`,
+      from,
+      to,
+      generatedAt: new Date(),
+      total: articles.length,
+      sections
+    };
+  }
+
+  formatDate(date) {
+    return date.toLocaleDateString('ja-JP', { timeZone: this.timezone });
+  }
+
+  formatDateTime(date) {
+    return date.toLocaleString('ja-JP', { timeZone: this.timezone });
+  }
+
+  getSources(article) {
+    return article.sources && article.sources.length > 0 ? article.sources : [article.source];
+  }
+
+  // 2. Markdown
+  renderMarkdown(digest) {
+    const lines = [
+      `# ${digest.title}`,
+      '',
+      `期間: ${this.formatDateTime(digest.from)} 〜 ${this.formatDateTime(digest.to)} / ${digest.total}件`,
+      ''
+    ];
+
+    if (digest.total === 0) {
+      lines.push('期間内の記事はありません。', '');
+    }
+
+    digest.sections.forEach(section => {
+      lines.push(`## ${section.category} (${section.total})`, '');
+      section.groups.forEach(group => {
+        lines.push(`### ${group.tag}`, '');
+        group.articles.forEach(article => {
+          const title = article.title.replace(/([[\]])/g, '\\$1');
+          lines.push(`- [${title}](${article.link}) — ${this.getSources(article).join(', ')} (${this.formatDate(article.publishedAt)})`);
+          (article.alternativeLinks || []).forEach(link => lines.push(`  - 関連: ${link}`));
+        });
+        lines.push('');
+      });
+    });
+
+    return lines.join('\n');
+  }
+
+  // 3. HTML（メール本文向けにインラインスタイル）
+  renderHtml(digest) {
+    const body = digest.sections.map(section => [
+      `<h2 style="border-bottom:2px solid #eb0a1e;padding-bottom:4px">${escapeHtml(section.category)} (${section.total})</h2>`,
+      ...section.groups.map(group => [
+        `<h3 style="margin-bottom:4px">${escapeHtml(group.tag)}</h3>`,
+        '<ul>',
+        ...group.articles.map(article => {
+          const related = (article.alternativeLinks || [])
+            .map(link => `<br><small>関連: <a href="${escapeHtml(link)}">${escapeHtml(link)}</a></small>`)
+            .join('');
+          return `<li><a href="${escapeHtml(article.link)}">${escapeHtml(article.title)}</a> ` +
+            `<small style="color:#666">${escapeHtml(this.getSources(article).join(', '))} (${escapeHtml(this.formatDate(article.publishedAt))})</small>${related}</li>`;
+        }),
+        '</ul>'
+      ].join('\n'))
+    ].join('\n')).join('\n');
+
+    return [
+      '<!DOCTYPE html>',
+      '<html lang="ja">',
+      '<head><meta charset="UTF-8"><title>' + escapeHtml(digest.title) + '</title></head>',
+      '<body style="font-family:sans-serif;max-width:720px;margin:0 auto;padding:16px">',
+      `<h1 style="font-size:20px">${escapeHtml(digest.title)}</h1>`,
+      `<p style="color:#666">期間: ${escapeHtml(this.formatDateTime(digest.from))} 〜 ${escapeHtml(this.formatDateTime(digest.to))} / ${digest.total}件</p>`,
+      digest.total === 0 ? '<p>期間内の記事はありません。</p>' : body,
+      '</body>',
+      '</html>',
+      ''
+    ].join('\n');
+  }
+
+  // 4. 出力（ファイル書き出し・メール送信）
+  // 戻り値: { files, mailed }
+  async deliver(digest) {
+    const markdown = this.renderMarkdown(digest);
+    const html = this.renderHtml(digest);
+    const result = { files: [], mailed: false };
+
+    if (this.outputDir) {
+      fs.mkdirSync(this.outputDir, { recursive: true });
+      const baseName = `digest-${digest.period}-${digest.to.toLocaleDateString('sv-SE', { timeZone: this.timezone })}`;
+      [['md', markdown], ['html', html]].forEach(([extension, content]) => {
+        const filePath = path.join(this.outputDir, `${baseName}.${extension}`);
+        fs.writeFileSync(filePath, content);
+        result.files.push(filePath);
+      });
+      console.log(`📄 ダイジェスト出力: ${result.files.join(', ')}`);
+    }
+
+    if (this.mailTo.length > 0) {
+      if (!this.mailFrom) {
+        throw new Error('DIGEST_FROM（送信元アドレス）を設定してください');
+      }
+      await new SmtpClient(this.smtpOptions).send({
+        from: this.mailFrom,
+        to: this.mailTo,
+        subject: digest.title,
+        text: markdown,
+        html
+      });
+      result.mailed = true;
+      console.log(`📧 ダイジェスト送信: ${this.mailTo.join(', ')}`);
+    }
+
+    if (!this.outputDir && this.mailTo.length === 0) {
+      console.log(markdown);
+    }
+
+    return result;
+  }
+
+  // 5. 生成から出力まで
+  async run(period = 'daily', end = new Date()) {
+    console.log(`📰 ${PERIODS[period] ? PERIODS[period].label : period}ダイジェストを生成中...`);
+    const digest = await this.build(period, end);
+    const result = await this.deliver(digest);
+    return { period, total: digest.total, ...result };
+  }
+}
+
+// 実行部分（node digest-builder.js [daily|weekly] [--out <dir>]）
+async function main(argv) {
+  const ToyotaNewsCollector = require('./rss-collector');
+  const period = argv[0] && !argv[0].startsWith('--') ? argv[0] : 'daily';
+  const outIndex = argv.indexOf('--out');
+  const collector = new ToyotaNewsCollector();
+  try {
+    const builder = new DigestBuilder(collector, {
+      outputDir: outIndex !== -1 ? argv[outIndex + 1] : undefined
+    });
+    await builder.run(period);
+  } finally {
+    await collector.cleanup();
+  }
+}
+
+// スクリプト直接実行時
+if (require.main === module) {
+  main(process.argv.slice(2)).catch(error => {
+    console.error('❌ ダイジェスト生成エラー:', error.message);
+    process.exit(1);
+  });
+}
+
+DigestBuilder.PERIODS = PERIODS;
+
+module.exports = DigestBuilder;
@@ -0,0 +1,79 @@
+// dry-run-storage.js
+// 書き込みを行わないストレージ（ドライラン用）
+//
+// 読み出しは元のバックエンドに委譲し、書き込みはメモリ上に保持して
+// 同じ実行内の後続の読み出し（get）に反映する。書き込み内容は writes に記録する。
+// query は元のバックエンドの結果に更新・削除のみ反映する（メモリ上の新規ドキュメントは含まない）。
+
+const crypto = require('crypto');
+
+class DryRunStorage {
+  constructor(backend) {
+    this.backend = backend;
+    this.name = `${backend.name}（ドライラン）`;
+    this.overlay = new Map();   // "collection/id" → ドキュメント（削除は null）
+    this.writes = [];
+  }
+
+  key(collection, id) {
+    return `${collection}/${id}`;
+  }
+
+  record(operation, collection, id) {
+    this.writes.push({ operation, collection, id });
+  }
+
+  async get(collection, id) {
+    const key = this.key(collection, id);
+    if (this.overlay.has(key)) {
+      const data = this.overlay.get(key);
+      return data ? { id, ...data } : null;
+    }
+    return this.backend.get(collection, id);
+  }
+
+  async set(collection, id, data) {
+    this.overlay.set(this.key(collection, id), { ...data });
+    this.record('set', collection, id);
+  }
+
+  async update(collection, id, data) {
+    const current = await this.get(collection, id);
+    if (!current) {
+      throw new Error(`更新対象のドキュメントが存在しません: ${collection}/${id}`);
+    }
+    const { id: currentId, ...rest } = current;
+    this.overlay.set(this.key(collection, id), { ...rest, ...data });
+    this.record('update', collection, id);
+  }
+
+  async add(collection, data) {
+    const id = `dry-run-${crypto.randomBytes(6).toString('hex')}`;
+    this.overlay.set(this.key(collection, id), { ...data });
+    this.record('add', collection, id);
+    return id;
+  }
+
+  async delete(collection, id) {
+    this.overlay.set(this.key(collection, id), null);
+    this.record('delete', collection, id);
+  }
+
+  async query(collection, options = {}) {
+    const results = await this.backend.query(collection, options);
+    return results
+      .map(doc => {
+        const key = this.key(collection, doc.id);
+        if (!this.overlay.has(key)) return doc;
+        const data = this.overlay.get(key);
+        return data ? { id: doc.id, ...data } : null;
+      })
+      .filter(Boolean);
+  }
+
+  async close() {
+    await this.backend.close();
+  }
+}
+
+module.exports = DryRunStorage;
@@ -0,0 +1,19 @@
+// exit-codes.js
+// 終了コード（cli.js と rss-collector.js の定期実行で共通）
+
+const EXIT_CODES = {
+  OK: 0,
+  FAILURE: 1,          // 処理の失敗（収集では全フィード失敗）
+  USAGE: 2,            // 引数の誤り
+  NOT_FOUND: 3,        // 指定した記事などが存在しない
+  PARTIAL_FAILURE: 4,  // 一部フィードの収集・一部の行の取り込みに失敗
+  ALERT: 5             // フィードの稼働状況にアラートあり
+};
+
+// 収集結果の終了コード
+function collectExitCode(summary) {
+  if (summary.errors === 0) return EXIT_CODES.OK;
+  return summary.errors < summary.feedsProcessed ? EXIT_CODES.PARTIAL_FAILURE : EXIT_CODES.FAILURE;
+}
+
+module.exports = { EXIT_CODES, collectExitCode };
@@ -0,0 +1,103 @@
+// feed-fetcher.check.js
+// 条件付き取得のチェック（ETag / Last-Modified を見て 304 を返すローカルサーバーを代わりに使う）
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const zlib = require('zlib');
+const FeedFetcher = require('./feed-fetcher');
+const ToyotaNewsCollector = require('./rss-collector');
+
+const ETAG = '"v1"';
+const LAST_MODIFIED = 'Wed, 01 May 2024 00:00:00 GMT';
+const FEED_XML = `<?xml version="1.0"?>
+<rss version="2.0"><channel><title>Check</title>
+<item><title>Toyota announces new hybrid model</title><link>https://example.com/news/1</link>
+<description>Toyota Motor Corporation announced a new hybrid model today.</description>
+<pubDate>Wed, 01 May 2024 09:00:00 +0900</pubDate></item>
+</channel></rss>`;
+
+console.log('=== feed-fetcher チェック ===\n');
+
+// ETag・Last-Modified が一致すれば 304 を返すフィード
+function startServer() {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(req.headers);
+    if (req.headers['if-none-match'] === ETAG || req.headers['if-modified-since'] === LAST_MODIFIED) {
+      res.statusCode = 304;
+      return res.end();
+    }
+    res.setHeader('ETag', ETAG);
+    res.setHeader('Last-Modified', LAST_MODIFIED);
+    res.setHeader('Content-Type', 'application/rss+xml');
+    if (req.url === '/gzip') {
+      res.setHeader('Content-Encoding', 'gzip');
+      return res.end(zlib.gzipSync(FEED_XML));
+    }
+    res.end(FEED_XML);
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, requests })));
+}
+
+(async () => {
+  const { server, requests } = await startServer();
+  const url = `http://127.0.0.1:${server.address().port}/feed`;
+  const fetcher = new FeedFetcher({ timeout: 5000 });
+
+  // 1. FeedFetcher 単体
+  let response = await fetcher.fetch(url);
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.notModified, false);
+  assert.strictEqual(response.headers.etag, ETAG);
+  assert.ok(response.body.includes('<rss'));
+  console.log('✅ 初回は 200 で本文と検証用ヘッダーを返す');
+
+  response = await fetcher.fetch(url, { etag: ETAG });
+  assert.strictEqual(requests[requests.length - 1]['if-none-match'], ETAG);
+  assert.strictEqual(response.status, 304);
+  assert.strictEqual(response.notModified, true);
+  assert.strictEqual(response.body, null);
+  console.log('✅ ETag を送ると 304（本文なし）');
+
+  response = await fetcher.fetch(url, { lastModified: LAST_MODIFIED });
+  assert.strictEqual(requests[requests.length - 1]['if-modified-since'], LAST_MODIFIED);
+  assert.strictEqual(response.notModified, true);
+  console.log('✅ Last-Modified を送ると 304');
+
+  response = await fetcher.fetch(url.replace('/feed', '/gzip'));
+  assert.strictEqual(response.body, FEED_XML);
+  console.log('✅ gzip の本文を展開する');
+
+  // 2. 収集処理（フィード状態の保存と2回目の条件付き取得）
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'feed-fetcher-check-'));
+  const collector = new ToyotaNewsCollector({
+    storage: { backend: 'local', path: path.join(dir, 'db.json') },
+    fetch: { hostDelayMs: 0, retries: 0 }
+  });
+  const feedInfo = { id: 'check', name: 'Check', url, category: 'official' };
+
+  const first = await collector.processFeed(feedInfo);
+  assert.strictEqual(first.new, 1);
+  const state = await collector.getFeedState(feedInfo);
+  assert.strictEqual(state.etag, ETAG);
+  assert.strictEqual(state.lastModified, LAST_MODIFIED);
+
+  const second = await collector.processFeed(feedInfo);
+  assert.strictEqual(requests[requests.length - 1]['if-none-match'], ETAG);
+  assert.strictEqual(second.notModified, true);
+  assert.strictEqual(second.new, 0);
+  assert.strictEqual((await collector.getFeedState(feedInfo)).lastStatus, 304);
+  console.log('✅ ETag を保存し、2回目は 304 で記事を処理しない');
+
+  await collector.cleanup();
+  fs.rmSync(dir, { recursive: true, force: true });
+  server.close();
+
+  console.log('\n=== チェック完了 ===');
+})().catch(error => {
+  console.log('❌ チェック失敗:', error.message);
+  process.exit(1);
+});
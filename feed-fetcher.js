@@ -0,0 +1,89 @@
+// feed-fetcher.js
+// 条件付きHTTP取得（ETag / Last-Modified 対応）
+
+const http = require('http');
+const https = require('https');
+const zlib = require('zlib');
+
+const DEFAULT_HEADERS = {
+  'User-Agent': 'toyota-news-collector',
+  'Accept': 'application/rss+xml, application/atom+xml, application/xml;q=0.9, */*;q=0.8',
+  'Accept-Encoding': 'gzip, deflate'
+};
+
+class FeedFetcher {
+  constructor(options = {}) {
+    this.timeout = options.timeout || 60000;
+    this.maxRedirects = options.maxRedirects || 5;
+  }
+
+  // 1. フィード取得
+  // options: { headers, etag, lastModified, timeout }
+  // 戻り値: { status, notModified, headers, body, url }
+  async fetch(url, options = {}) {
+    const headers = { ...DEFAULT_HEADERS, ...(options.headers || {}) };
+    if (options.etag) headers['If-None-Match'] = options.etag;
+    if (options.lastModified) headers['If-Modified-Since'] = options.lastModified;
+
+    return this.request(url, headers, options.timeout || this.timeout, 0);
+  }
+
+  // 2. HTTPリクエスト（リダイレクト追従）
+  request(url, headers, timeout, redirectCount) {
+    return new Promise((resolve, reject) => {
+      const client = url.startsWith('https:') ? https : http;
+      const req = client.get(url, { headers }, res => {
+        const { statusCode } = res;
+
+        if (statusCode >= 300 && statusCode < 400 && statusCode !== 304 && res.headers.location) {
+          res.resume();
+          if (redirectCount >= this.maxRedirects) {
+            return reject(new Error(`リダイレクト回数の上限を超えました: ${url}`));
+          }
+          const nextUrl = new URL(res.headers.location, url).toString();
+          return resolve(this.request(nextUrl, headers, timeout, redirectCount + 1));
+        }
+
+        if (statusCode === 304) {
+          res.resume();
+          return resolve({ status: 304, notModified: true, headers: res.headers, body: null, url });
+        }
+
+        if (statusCode >= 400) {
+          res.resume();
+          const error = new Error(`HTTP ${statusCode}`);
+          error.status = statusCode;
+          return reject(error);
+        }
+
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('error', reject);
+        res.on('end', () => {
+          try {
+            const body = this.decode(Buffer.concat(chunks), res.headers['content-encoding']);
+            resolve({ status: statusCode, notModified: false, headers: res.headers, body, url });
+          } catch (error) {
+            reject(error);
+          }
+        });
+      });
+
+      req.setTimeout(timeout, () => {
+        const error = new Error(`タイムアウト (${timeout}ms): ${url}`);
+        error.code = 'ETIMEDOUT';
+        req.destroy(error);
+      });
+      req.on('error', reject);
+    });
+  }
+
+  // 3. レスポンス本文の展開
+  decode(buffer, encoding) {
+    if (encoding === 'gzip') return zlib.gunzipSync(buffer).toString('utf8');
+    if (encoding === 'deflate') return zlib.inflateSync(buffer).toString('utf8');
+    return buffer.toString('utf8');
+  }
+}
+
+module.exports = FeedFetcher;
@@ -0,0 +1,161 @@
+// feed-health.js
+// フィードの稼働状況の記録とアラート判定（連続失敗・更新停止・応答遅延・解析警告）
+
+const { COLLECTIONS } = require('./storage');
+
+const HEALTH_COLLECTION = COLLECTIONS.FEED_HEALTH;
+
+// アラート条件のデフォルト値（feeds.json の alerts でフィード毎に上書き可能）
+const ALERT_DEFAULTS = {
+  maxConsecutiveFailures: Number(process.env.HEALTH_MAX_CONSECUTIVE_FAILURES) || 3,
+  staleDays: Number(process.env.HEALTH_STALE_DAYS) || 14,
+  slowResponseMs: Number(process.env.HEALTH_SLOW_RESPONSE_MS) || 10000
+};
+
+const ALERT_KEYS = Object.keys(ALERT_DEFAULTS);
+
+// 保持する応答時間・警告の件数
+const MAX_RESPONSE_TIMES = 20;
+const MAX_WARNINGS = 20;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class FeedHealth {
+  constructor(storage, options = {}) {
+    this.storage = storage;
+    this.alertDefaults = { ...ALERT_DEFAULTS, ...(options.alerts || {}) };
+  }
+
+  getHealthId(feedInfo) {
+    return feedInfo.id || feedInfo.url.replace(/[^a-zA-Z0-9]/g, '_');
+  }
+
+  async get(feedInfo) {
+    return this.storage.get(HEALTH_COLLECTION, this.getHealthId(feedInfo));
+  }
+
+  // 1. 1回分の処理結果を記録（取得間隔内でスキップしたフィードは記録しない）
+  async record(feedInfo, result, runAt = new Date()) {
+    const previous = (await this.get(feedInfo)) || {};
+    const failed = Boolean(result.error);
+    const responseTimes = [
+      ...(previous.responseTimes || []),
+      ...(result.responseMs !== undefined && result.responseMs !== null ? [result.responseMs] : [])
+    ].slice(-MAX_RESPONSE_TIMES);
+    const foundNew = (result.new || 0) + (result.updated || 0) + (result.duplicates || 0) > 0;
+
+    const health = {
+      feedId: feedInfo.id || null,
+      name: feedInfo.name,
+      url: feedInfo.url,
+      trackingSince: previous.trackingSince || runAt,
+      totalRuns: (previous.totalRuns || 0) + 1,
+      totalFailures: (previous.totalFailures || 0) + (failed ? 1 : 0),
+      consecutiveFailures: failed ? (previous.consecutiveFailures || 0) + 1 : 0,
+      lastRunAt: runAt,
+      lastSuccessAt: failed ? previous.lastSuccessAt || null : runAt,
+      lastFailureAt: failed ? runAt : previous.lastFailureAt || null,
+      lastError: failed ? result.error : null,
+      lastStatus: result.status || (result.notModified ? 304 : null),
+      lastNewItemAt: foundNew ? runAt : previous.lastNewItemAt || null,
+      lastItemCount: failed || result.notModified ? previous.lastItemCount || 0 : result.total,
+      lastNewCount: result.new || 0,
+      parseWarnings: failed ? previous.parseWarnings || [] : (result.warnings || []).slice(0, MAX_WARNINGS),
+      responseTimes,
+      avgResponseMs: responseTimes.length > 0
+        ? Math.round(responseTimes.reduce((sum, ms) => sum + ms, 0) / responseTimes.length)
+        : null
+    };
+
+    await this.storage.set(HEALTH_COLLECTION, this.getHealthId(feedInfo), health);
+    return health;
+  }
+
+  // 2. アラート判定
+  evaluate(feedInfo, health, now = new Date()) {
+    const conditions = { ...this.alertDefaults, ...(feedInfo.alerts || {}) };
+    const alerts = [];
+    const alert = (type, message) => alerts.push({ feedId: feedInfo.id || null, feed: feedInfo.name, type, message });
+
+    if (!health) return alerts;
+
+    if (health.consecutiveFailures >= conditions.maxConsecutiveFailures) {
+      alert('consecutive_failures', `${health.consecutiveFailures}回連続で失敗しています（${health.lastError}）`);
+    }
+
+    // 記録開始から staleDays 経過するまでは判定しない
+    const newItemBase = health.lastNewItemAt || health.trackingSince;
+    const staleDays = Math.floor((now - new Date(newItemBase)) / DAY_MS);
+    if (staleDays >= conditions.staleDays) {
+      alert('stale', health.lastNewItemAt
+        ? `${staleDays}日間新しい記事がありません（最終: ${new Date(health.lastNewItemAt).toLocaleString()}）`
+        : `記録開始から${staleDays}日間新しい記事がありません`);
+    }
+
+    if (health.avgResponseMs !== null && health.avgResponseMs >= conditions.slowResponseMs) {
+      alert('slow_response', `平均応答時間が ${health.avgResponseMs}ms です`);
+    }
+
+    if (health.parseWarnings && health.parseWarnings.length > 0) {
+      alert('parse_warnings', `解析警告 ${health.parseWarnings.length}件（${health.parseWarnings[0]}）`);
+    }
+
+    return alerts;
+  }
+
+  // 稼働状況の区分
+  getStatus(health, alerts) {
+    if (!health) return 'unknown';
+    if (alerts.some(alert => alert.type === 'consecutive_failures')) return 'failing';
+    if (alerts.length > 0 || health.consecutiveFailures > 0) return 'warning';
+    return 'ok';
+  }
+
+  // 3. 実行結果をまとめて記録し、実行ログ用のヘルス情報を返す
+  async recordRun(feeds, results, runAt = new Date()) {
+    const entries = [];
+    for (let i = 0; i < feeds.length; i++) {
+      if (results[i].intervalSkipped) continue;
+      const health = await this.record(feeds[i], results[i], runAt);
+      entries.push([feeds[i], health]);
+    }
+    const summary = this.summarize(entries, runAt);
+    summary.alerts.forEach(alert => console.log(`🚨 ${alert.feed}: ${alert.message}`));
+    return summary;
+  }
+
+  // 4. 全フィードの稼働状況レポート
+  async report(feeds, now = new Date()) {
+    const entries = [];
+    for (const feed of feeds) {
+      entries.push([feed, await this.get(feed)]);
+    }
+    return this.summarize(entries, now);
+  }
+
+  summarize(entries, now) {
+    const alerts = [];
+    const feeds = entries.map(([feedInfo, health]) => {
+      const feedAlerts = this.evaluate(feedInfo, health, now);
+      alerts.push(...feedAlerts);
+      return {
+        feedId: feedInfo.id || null,
+        name: feedInfo.name,
+        status: this.getStatus(health, feedAlerts),
+        consecutiveFailures: health ? health.consecutiveFailures : 0,
+        lastSuccessAt: health ? health.lastSuccessAt : null,
+        lastNewItemAt: health ? health.lastNewItemAt : null,
+        lastItemCount: health ? health.lastItemCount : 0,
+        avgResponseMs: health ? health.avgResponseMs : null,
+        parseWarnings: health ? health.parseWarnings.length : 0
+      };
+    });
+
+    return { feeds, alerts };
+  }
+}
+
+FeedHealth.ALERT_DEFAULTS = ALERT_DEFAULTS;
+FeedHealth.ALERT_KEYS = ALERT_KEYS;
+
+module.exports = FeedHealth;
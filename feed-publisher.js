@@ -0,0 +1,252 @@
+// feed-publisher.js
+// 収集・重複統合済み記事の配信フィード生成（RSS 2.0 / Atom / JSON Feed）
+
+const fs = require('fs');
+const path = require('path');
+const { COLLECTIONS } = require('./storage');
+
+const FORMATS = {
+  rss: { extension: 'xml', contentType: 'application/rss+xml; charset=utf-8' },
+  atom: { extension: 'atom', contentType: 'application/atom+xml; charset=utf-8' },
+  json: { extension: 'json', contentType: 'application/feed+json; charset=utf-8' }
+};
+
+const DEFAULT_LIMIT = 50;
+
+// XMLエスケープ
+function escapeXml(text) {
+  return String(text === undefined || text === null ? '' : text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+class FeedPublisher {
+  // options.baseUrl: 配信先のURL（self リンクに使用）
+  // options.outputDir: 静的ファイルの出力先
+  constructor(collector, options = {}) {
+    this.collector = collector;
+    this.baseUrl = (options.baseUrl || process.env.PUBLIC_BASE_URL || 'http://localhost:3000').replace(/\/$/, '');
+    this.outputDir = options.outputDir || process.env.PUBLISH_DIR || null;
+  }
+
+  // 1. フィルター条件に合う記事を取得（source は統合元の sources も対象）
+  // filters: { category, tag, source, limit }
+  async getArticles(filters = {}) {
+    const limit = filters.limit || DEFAULT_LIMIT;
+    const baseFilters = { category: filters.category, tag: filters.tag, limit };
+
+    if (!filters.source) {
+      return this.collector.queryArticles(baseFilters);
+    }
+
+    const primary = await this.collector.queryArticles({ ...baseFilters, source: filters.source });
+    const where = [['sources', 'array-contains', filters.source]];
+    if (filters.category) where.push(['category', '==', filters.category]);
+    const merged = (await this.collector.storage.query(COLLECTIONS.NEWS, {
+      where,
+      orderBy: ['publishedAt', 'desc'],
+      limit
+    })).filter(article => !filters.tag || (article.tags || []).includes(filters.tag));
+
+    const byId = new Map([...primary, ...merged].map(article => [article.id, article]));
+    return [...byId.values()]
+      .sort((a, b) => b.publishedAt - a.publishedAt)
+      .slice(0, limit);
+  }
+
+  // 2. フィードのタイトル
+  describeFilters(filters) {
+    const parts = ['category', 'tag', 'source']
+      .filter(key => filters[key])
+      .map(key => `${key}: ${filters[key]}`);
+    return parts.length > 0 ? `Toyota News (${parts.join(', ')})` : 'Toyota News';
+  }
+
+  // 記事の配信元（統合された記事は全ソース）
+  getSources(article) {
+    return article.sources && article.sources.length > 0 ? article.sources : [article.source];
+  }
+
+  // 代表画像（記事ページの画像、なければフィードの画像）
+  getImage(article) {
+    const image = (article.media || []).find(media => media.type === 'image');
+    return article.leadImage || (image ? image.url : null);
+  }
+
+  // 3. RSS 2.0
+  renderRss(articles, filters = {}, selfUrl = null) {
+    const items = articles.map(article => {
+      const alternates = (article.alternativeLinks || [])
+        .map(link => `      <atom:link rel="related" href="${escapeXml(link)}"/>`);
+      const categories = [
+        ...(article.tags || []).map(tag => `      <category>${escapeXml(tag)}</category>`),
+        ...this.getSources(article).map(source => `      <category domain="source">${escapeXml(source)}</category>`)
+      ];
+      return [
+        '    <item>',
+        `      <title>${escapeXml(article.title)}</title>`,
+        `      <link>${escapeXml(article.link)}</link>`,
+        `      <guid isPermaLink="false">${escapeXml(article.id)}</guid>`,
+        `      <pubDate>${new Date(article.publishedAt).toUTCString()}</pubDate>`,
+        `      <description>${escapeXml(article.description)}</description>`,
+        `      <source url="${escapeXml(article.feedUrl)}">${escapeXml(article.source)}</source>`,
+        ...categories,
+        ...alternates,
+        '    </item>'
+      ].join('\n');
+    });
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+      '  <channel>',
+      `    <title>${escapeXml(this.describeFilters(filters))}</title>`,
+      `    <link>${escapeXml(this.baseUrl)}</link>`,
+      '    <description>Toyota newsroom articles, deduplicated across sources</description>',
+      `    <lastBuildDate>${new Date().toUTCString()}</lastBuildDate>`,
+      selfUrl ? `    <atom:link rel="self" type="application/rss+xml" href="${escapeXml(selfUrl)}"/>` : null,
+      ...items,
+      '  </channel>',
+      '</rss>',
+      ''
+    ].filter(line => line !== null).join('\n');
+  }
+
+  // 4. Atom
+  renderAtom(articles, filters = {}, selfUrl = null) {
+    const updated = articles.length > 0
+      ? new Date(Math.max(...articles.map(article => new Date(article.updatedAt || article.publishedAt).getTime())))
+      : new Date();
+
+    const entries = articles.map(article => [
+      '  <entry>',
+      `    <id>urn:toyota-news:${escapeXml(article.id)}</id>`,
+      `    <title>${escapeXml(article.title)}</title>`,
+      `    <link rel="alternate" href="${escapeXml(article.link)}"/>`,
+      ...(article.alternativeLinks || []).map(link => `    <link rel="related" href="${escapeXml(link)}"/>`),
+      `    <published>${new Date(article.publishedAt).toISOString()}</published>`,
+      `    <updated>${new Date(article.updatedAt || article.publishedAt).toISOString()}</updated>`,
+      ...this.getSources(article).map(source => `    <author><name>${escapeXml(source)}</name></author>`),
+      ...(article.tags || []).map(tag => `    <category term="${escapeXml(tag)}"/>`),
+      `    <summary>${escapeXml(article.description)}</summary>`,
+      '  </entry>'
+    ].join('\n'));
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<feed xmlns="http://www.w3.org/2005/Atom">',
+      `  <id>${escapeXml(selfUrl || `${this.baseUrl}/feeds/atom`)}</id>`,
+      `  <title>${escapeXml(this.describeFilters(filters))}</title>`,
+      `  <updated>${updated.toISOString()}</updated>`,
+      `  <link rel="alternate" href="${escapeXml(this.baseUrl)}"/>`,
+      selfUrl ? `  <link rel="self" href="${escapeXml(selfUrl)}"/>` : null,
+      ...entries,
+      '</feed>',
+      ''
+    ].filter(line => line !== null).join('\n');
+  }
+
+  // 5. JSON Feed 1.1
+  renderJsonFeed(articles, filters = {}, selfUrl = null) {
+    const feed = {
+      version: 'https://jsonfeed.org/version/1.1',
+      title: this.describeFilters(filters),
+      home_page_url: this.baseUrl,
+      ...(selfUrl ? { feed_url: selfUrl } : {}),
+      items: articles.map(article => ({
+        id: article.id,
+        url: article.link,
+        title: article.title,
+        summary: article.description,
+        ...(article.contentHtml ? { content_html: article.contentHtml } : {}),
+        ...(article.fullText ? { content_text: article.fullText } : {}),
+        ...(this.getImage(article) ? { image: this.getImage(article) } : {}),
+        date_published: new Date(article.publishedAt).toISOString(),
+        date_modified: new Date(article.updatedAt || article.publishedAt).toISOString(),
+        tags: article.tags || [],
+        authors: this.getSources(article).map(name => ({ name })),
+        _toyota_news: {
+          category: article.category,
+          sources: this.getSources(article),
+          alternativeLinks: article.alternativeLinks || []
+        }
+      }))
+    };
+    return JSON.stringify(feed, null, 2) + '\n';
+  }
+
+  // 6. 形式を指定して生成
+  async render(format, filters = {}, selfUrl = null) {
+    if (!FORMATS[format]) {
+      throw new Error(`未対応のフィード形式: ${format}`);
+    }
+    const articles = await this.getArticles(filters);
+    return {
+      contentType: FORMATS[format].contentType,
+      body: this.renderArticles(format, articles, filters, selfUrl)
+    };
+  }
+
+  renderArticles(format, articles, filters, selfUrl) {
+    if (format === 'rss') return this.renderRss(articles, filters, selfUrl);
+    if (format === 'atom') return this.renderAtom(articles, filters, selfUrl);
+    return this.renderJsonFeed(articles, filters, selfUrl);
+  }
+
+  // 7. 静的ファイルの出力（全記事 + カテゴリ別）
+  async writeStaticFeeds(outputDir = this.outputDir) {
+    if (!outputDir) return [];
+
+    const categories = [...new Set(this.collector.feedRegistry.getAllFeeds().map(feed => feed.category))];
+    const targets = [
+      { name: 'all', filters: {} },
+      ...categories.map(category => ({ name: `category-${category}`, filters: { category } }))
+    ];
+
+    fs.mkdirSync(outputDir, { recursive: true });
+    const written = [];
+    for (const target of targets) {
+      const articles = await this.getArticles(target.filters);
+      for (const [format, { extension }] of Object.entries(FORMATS)) {
+        const fileName = `${target.name}.${extension}`;
+        const selfUrl = `${this.baseUrl}/${fileName}`;
+        const body = this.renderArticles(format, articles, target.filters, selfUrl);
+        const filePath = path.join(outputDir, fileName);
+        fs.writeFileSync(`${filePath}.tmp`, body);
+        fs.renameSync(`${filePath}.tmp`, filePath);
+        written.push(filePath);
+      }
+    }
+    return written;
+  }
+}
+
+// 静的フィードの書き出し（収集を行わずに出力のみ）
+async function publishStaticFeeds() {
+  const ToyotaNewsCollector = require('./rss-collector');
+  const collector = new ToyotaNewsCollector({ publish: { outputDir: process.argv[2] } });
+  try {
+    if (!collector.publisher.outputDir) {
+      throw new Error('出力先を引数または PUBLISH_DIR で指定してください');
+    }
+    const files = await collector.publisher.writeStaticFeeds();
+    console.log(`✅ ${files.length} ファイルを出力しました (${collector.publisher.outputDir})`);
+  } finally {
+    await collector.cleanup();
+  }
+}
+
+// スクリプト直接実行時
+if (require.main === module) {
+  publishStaticFeeds().catch(error => {
+    console.error('❌ 配信フィード出力エラー:', error.message);
+    process.exit(1);
+  });
+}
+
+FeedPublisher.FORMATS = FORMATS;
+
+module.exports = FeedPublisher;
@@ -0,0 +1,228 @@
+// feed-registry.js
+// 設定ファイルによるRSSフィード管理
+
+const fs = require('fs');
+const path = require('path');
+const cron = require('node-cron');
+const FeedHealth = require('./feed-health');
+
+// フィード設定のデフォルト値
+const FEED_DEFAULTS = {
+  enabled: true,
+  language: 'en',
+  fetchIntervalMinutes: 0,
+  customFields: [],
+  boilerplate: [],
+  headers: {},
+  dedupeLookbackDays: 7,
+  enrich: false
+};
+
+class FeedRegistry {
+  constructor(configPath) {
+    this.configPath = path.resolve(configPath || process.env.FEEDS_CONFIG || path.join(__dirname, 'feeds.json'));
+    this.feeds = [];
+  }
+
+  // 1. 設定ファイルの読み込みと検証
+  load() {
+    if (!fs.existsSync(this.configPath)) {
+      throw new Error(`フィード設定ファイルが見つかりません: ${this.configPath}`);
+    }
+
+    let config;
+    try {
+      config = JSON.parse(fs.readFileSync(this.configPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`フィード設定ファイルのJSON形式エラー: ${error.message}`);
+    }
+
+    const errors = this.validate(config);
+    if (errors.length > 0) {
+      throw new Error(`フィード設定が不正です (${this.configPath}):\n  - ${errors.join('\n  - ')}`);
+    }
+
+    this.feeds = config.feeds.map(feed => ({ ...FEED_DEFAULTS, ...feed }));
+    return this;
+  }
+
+  // 2. 設定内容の検証（エラーメッセージの配列を返す）
+  validate(config) {
+    const errors = [];
+
+    if (!config || !Array.isArray(config.feeds)) {
+      return ['"feeds" 配列が必要です'];
+    }
+
+    const ids = new Set();
+    config.feeds.forEach((feed, index) => {
+      errors.push(...this.validateFeed(feed, `feeds[${index}]`));
+      if (feed && feed.id) {
+        if (ids.has(feed.id)) {
+          errors.push(`feeds[${index}]: id "${feed.id}" が重複しています`);
+        }
+        ids.add(feed.id);
+      }
+    });
+
+    return errors;
+  }
+
+  // 3. 単一フィードの検証
+  validateFeed(feed, label) {
+    const errors = [];
+
+    if (!feed || typeof feed !== 'object') {
+      return [`${label}: オブジェクトである必要があります`];
+    }
+
+    if (typeof feed.id !== 'string' || !/^[a-z0-9][a-z0-9-]*$/.test(feed.id)) {
+      errors.push(`${label}: id は英小文字・数字・ハイフンで指定してください`);
+    }
+    if (typeof feed.name !== 'string' || feed.name.trim() === '') {
+      errors.push(`${label}: name は必須です`);
+    }
+    try {
+      const url = new URL(feed.url);
+      if (!['http:', 'https:'].includes(url.protocol)) {
+        errors.push(`${label}: url は http(s) である必要があります`);
+      }
+    } catch {
+      errors.push(`${label}: url が不正です (${feed.url})`);
+    }
+    if (typeof feed.category !== 'string' || feed.category.trim() === '') {
+      errors.push(`${label}: category は必須です`);
+    }
+    if (feed.enabled !== undefined && typeof feed.enabled !== 'boolean') {
+      errors.push(`${label}: enabled は true/false で指定してください`);
+    }
+    if (feed.enrich !== undefined && typeof feed.enrich !== 'boolean') {
+      errors.push(`${label}: enrich は true/false で指定してください`);
+    }
+    if (feed.language !== undefined && !/^[a-z]{2}(-[A-Za-z]{2})?$/.test(feed.language)) {
+      errors.push(`${label}: language は "en" や "ja" の形式で指定してください`);
+    }
+    if (feed.fetchIntervalMinutes !== undefined &&
+        !(Number.isInteger(feed.fetchIntervalMinutes) && feed.fetchIntervalMinutes >= 0)) {
+      errors.push(`${label}: fetchIntervalMinutes は0以上の整数で指定してください`);
+    }
+    if (feed.dedupeLookbackDays !== undefined &&
+        !(Number.isInteger(feed.dedupeLookbackDays) && feed.dedupeLookbackDays > 0)) {
+      errors.push(`${label}: dedupeLookbackDays は1以上の整数で指定してください`);
+    }
+    if (feed.schedule !== undefined &&
+        !(typeof feed.schedule === 'string' && cron.validate(feed.schedule))) {
+      errors.push(`${label}: schedule のcron式が不正です (${feed.schedule})`);
+    }
+    if (feed.customFields !== undefined &&
+        !(Array.isArray(feed.customFields) &&
+          feed.customFields.every(field => typeof field === 'string' || Array.isArray(field)))) {
+      errors.push(`${label}: customFields は rss-parser の item 定義（文字列 or [元, 先]）の配列で指定してください`);
+    }
+    if (feed.timezone !== undefined && !this.isValidTimezone(feed.timezone)) {
+      errors.push(`${label}: timezone は "Asia/Tokyo" などの IANA タイムゾーン名で指定してください`);
+    }
+    if (feed.boilerplate !== undefined) {
+      if (!(Array.isArray(feed.boilerplate) && feed.boilerplate.every(pattern => typeof pattern === 'string'))) {
+        errors.push(`${label}: boilerplate は正規表現の文字列の配列で指定してください`);
+      } else {
+        feed.boilerplate.forEach(pattern => {
+          try {
+            new RegExp(pattern, 'i');
+          } catch (error) {
+            errors.push(`${label}: boilerplate の正規表現が不正です (${pattern})`);
+          }
+        });
+      }
+    }
+    if (feed.headers !== undefined &&
+        !(feed.headers && typeof feed.headers === 'object' && !Array.isArray(feed.headers) &&
+          Object.values(feed.headers).every(value => typeof value === 'string'))) {
+      errors.push(`${label}: headers は文字列値のオブジェクトで指定してください`);
+    }
+    if (feed.alerts !== undefined) {
+      if (!feed.alerts || typeof feed.alerts !== 'object' || Array.isArray(feed.alerts)) {
+        errors.push(`${label}: alerts はオブジェクトで指定してください`);
+      } else {
+        Object.entries(feed.alerts).forEach(([key, value]) => {
+          if (!FeedHealth.ALERT_KEYS.includes(key)) {
+            errors.push(`${label}: alerts.${key} は未対応です（${FeedHealth.ALERT_KEYS.join(', ')}）`);
+          } else if (!(Number.isInteger(value) && value > 0)) {
+            errors.push(`${label}: alerts.${key} は1以上の整数で指定してください`);
+          }
+        });
+      }
+    }
+
+    return errors;
+  }
+
+  isValidTimezone(timezone) {
+    if (typeof timezone !== 'string' || !timezone) return false;
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  // 4. 設定ファイルへ保存
+  save() {
+    const keyOrder = ['id', 'name', 'url', 'enabled', 'category', 'language'];
+    const feeds = this.feeds.map(feed => {
+      const stored = {};
+      [...keyOrder, ...Object.keys(feed)].forEach(key => {
+        if (feed[key] !== undefined && !(key in stored)) stored[key] = feed[key];
+      });
+      // デフォルトと同じ空の値は書き出さない
+      if (Array.isArray(stored.customFields) && stored.customFields.length === 0) delete stored.customFields;
+      if (Array.isArray(stored.boilerplate) && stored.boilerplate.length === 0) delete stored.boilerplate;
+      if (stored.headers && Object.keys(stored.headers).length === 0) delete stored.headers;
+      return stored;
+    });
+    fs.writeFileSync(this.configPath, JSON.stringify({ feeds }, null, 2) + '\n');
+  }
+
+  // 5. フィード一覧
+  getAllFeeds() {
+    return this.feeds;
+  }
+
+  // 6. 有効なフィードのみ
+  getEnabledFeeds() {
+    return this.feeds.filter(feed => feed.enabled);
+  }
+
+  // 7. IDでフィード取得
+  getFeed(id) {
+    return this.feeds.find(feed => feed.id === id) || null;
+  }
+
+  // 8. フィード追加
+  addFeed(feed) {
+    const errors = this.validateFeed(feed, feed.id || '新規フィード');
+    if (this.getFeed(feed.id)) {
+      errors.push(`id "${feed.id}" は既に登録されています`);
+    }
+    if (errors.length > 0) {
+      throw new Error(errors.join('\n'));
+    }
+
+    const added = { ...FEED_DEFAULTS, ...feed };
+    this.feeds.push(added);
+    return added;
+  }
+
+  // 9. 有効/無効の切り替え
+  setEnabled(id, enabled) {
+    const feed = this.getFeed(id);
+    if (!feed) {
+      throw new Error(`フィードが見つかりません: ${id}`);
+    }
+    feed.enabled = enabled;
+    return feed;
+  }
+}
+
+module.exports = FeedRegistry;
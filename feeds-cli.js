@@ -0,0 +1,106 @@
+// feeds-cli.js
+// フィード設定の管理コマンド
+//
+// 使い方:
+//   node feeds-cli.js list
+//   node feeds-cli.js add --id lexus --name "Lexus News" --url https://... --category lexus
+//                         [--language en] [--interval 240] [--lookback 7] [--schedule "0 */4 * * *"]
+//                         [--header "User-Agent: toyota-news-collector"] [--field dc:creator] [--enrich true]
+//   node feeds-cli.js disable <id>
+//   node feeds-cli.js enable <id>
+
+const FeedRegistry = require('./feed-registry');
+
+// --key value 形式の引数を解析（--header / --field は複数指定可）
+function parseOptions(args) {
+  const options = { headers: {}, customFields: [] };
+  for (let i = 0; i < args.length; i++) {
+    const key = args[i];
+    const value = args[i + 1];
+    if (!key.startsWith('--') || value === undefined) {
+      throw new Error(`引数が不正です: ${key}`);
+    }
+    i++;
+
+    switch (key) {
+      case '--header': {
+        const separator = value.indexOf(':');
+        if (separator === -1) throw new Error(`ヘッダーは "名前: 値" 形式で指定してください: ${value}`);
+        options.headers[value.slice(0, separator).trim()] = value.slice(separator + 1).trim();
+        break;
+      }
+      case '--field':
+        options.customFields.push(value);
+        break;
+      case '--interval':
+        options.fetchIntervalMinutes = Number(value);
+        break;
+      case '--lookback':
+        options.dedupeLookbackDays = Number(value);
+        break;
+      case '--enrich':
+        options.enrich = value === 'true';
+        break;
+      default:
+        options[key.slice(2)] = value;
+    }
+  }
+  return options;
+}
+
+function listFeeds(registry) {
+  console.log(`📋 登録フィード (${registry.configPath})\n`);
+  registry.getAllFeeds().forEach(feed => {
+    console.log(`${feed.enabled ? '✅' : '⏸️ '} ${feed.id} - ${feed.name}`);
+    console.log(`   🔗 ${feed.url}`);
+    console.log(`   🏷️  ${feed.category} / ${feed.language} / 間隔 ${feed.fetchIntervalMinutes}分 / 重複検出 ${feed.dedupeLookbackDays}日`);
+    if (feed.enrich) {
+      console.log('   📄 記事ページから本文を取得');
+    }
+    if (feed.schedule) {
+      console.log(`   ⏰ ${feed.schedule}`);
+    }
+  });
+}
+
+function main(argv) {
+  const [command, ...args] = argv;
+  const registry = new FeedRegistry().load();
+
+  switch (command) {
+    case 'list':
+    case undefined:
+      listFeeds(registry);
+      break;
+
+    case 'add': {
+      const feed = registry.addFeed(parseOptions(args));
+      registry.save();
+      console.log(`✨ フィードを追加しました: ${feed.id}`);
+      break;
+    }
+
+    case 'disable':
+    case 'enable': {
+      if (!args[0]) throw new Error('フィードIDを指定してください');
+      registry.setEnabled(args[0], command === 'enable');
+      registry.save();
+      console.log(`${command === 'enable' ? '✅' : '⏸️ '} ${args[0]} を${command === 'enable' ? '有効' : '無効'}にしました`);
+      break;
+    }
+
+    default:
+      throw new Error(`不明なコマンド: ${command}`);
+  }
+}
+
+if (require.main === module) {
+  try {
+    main(process.argv.slice(2));
+  } catch (error) {
+    console.error('❌', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { main, parseOptions };
@@ -0,0 +1,117 @@
+// fetch-scheduler.js
+// フィード取得スケジューラー（並列実行・ホスト毎の間隔制御・リトライ）
+
+const DEFAULT_OPTIONS = {
+  concurrency: 3,        // 同時取得数
+  hostDelayMs: 1000,     // 同一ホストへのリクエスト間隔
+  retries: 3,            // リトライ回数（初回を除く）
+  baseDelayMs: 1000,     // バックオフの基準時間
+  maxDelayMs: 30000,     // バックオフの上限
+  timeoutMs: 30000       // リクエスト毎のタイムアウト
+};
+
+// リトライ対象のネットワークエラー
+const RETRYABLE_CODES = new Set([
+  'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'ENOTFOUND', 'EAI_AGAIN', 'ESOCKETTIMEDOUT'
+]);
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+class FetchScheduler {
+  constructor(fetcher, options = {}) {
+    this.fetcher = fetcher;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    // ホスト毎の次回リクエスト可能時刻（予約制）
+    this.hostNextSlot = new Map();
+  }
+
+  // 1. 並列数を制限してタスクを実行（結果は入力順）
+  async runAll(items, worker) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    const runNext = async () => {
+      while (nextIndex < items.length) {
+        const index = nextIndex++;
+        results[index] = await worker(items[index], index);
+      }
+    };
+
+    const workers = [];
+    for (let i = 0; i < Math.min(this.options.concurrency, items.length); i++) {
+      workers.push(runNext());
+    }
+    await Promise.all(workers);
+    return results;
+  }
+
+  // 2. ホスト毎の間隔を守るまで待機
+  async waitForHost(url) {
+    const host = new URL(url).host;
+    const now = Date.now();
+    const slot = Math.max(now, this.hostNextSlot.get(host) || 0);
+    this.hostNextSlot.set(host, slot + this.options.hostDelayMs);
+    if (slot > now) {
+      await sleep(slot - now);
+    }
+  }
+
+  // 3. リトライ可能なエラーか判定
+  isRetryable(error) {
+    if (error.status) {
+      return error.status === 429 || error.status >= 500;
+    }
+    return RETRYABLE_CODES.has(error.code);
+  }
+
+  // 4. 指数バックオフ + ジッター（full jitter）
+  getBackoffDelay(attempt) {
+    const exponential = Math.min(this.options.maxDelayMs, this.options.baseDelayMs * 2 ** (attempt - 1));
+    return Math.round(Math.random() * exponential);
+  }
+
+  // 5. リトライ付き取得
+  // 戻り値: { response, attempts, elapsedMs }（attempts は失敗した試行の記録、elapsedMs は成功した試行の応答時間）
+  // 失敗時は error.attempts に記録を付けて例外
+  async fetch(url, options = {}) {
+    const attempts = [];
+    const maxAttempts = this.options.retries + 1;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      await this.waitForHost(url);
+      const startedAt = Date.now();
+
+      try {
+        const response = await this.fetcher.fetch(url, {
+          ...options,
+          timeout: options.timeout || this.options.timeoutMs
+        });
+        return { response, attempts, elapsedMs: Date.now() - startedAt };
+      } catch (error) {
+        const retryable = this.isRetryable(error);
+        const record = {
+          attempt,
+          error: error.message,
+          code: error.code || null,
+          status: error.status || null,
+          elapsedMs: Date.now() - startedAt,
+          retryInMs: null
+        };
+        attempts.push(record);
+
+        if (!retryable || attempt === maxAttempts) {
+          error.attempts = attempts;
+          throw error;
+        }
+
+        record.retryInMs = this.getBackoffDelay(attempt);
+        console.log(`🔁 再試行 ${attempt}/${this.options.retries}: ${error.message} (${record.retryInMs}ms後)`);
+        await sleep(record.retryInMs);
+      }
+    }
+  }
+}
+
+FetchScheduler.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+
+module.exports = FetchScheduler;
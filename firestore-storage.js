@@ -0,0 +1,99 @@
+// firestore-storage.js
+// Firestore ストレージバックエンド
+
+require('dotenv').config();
+const admin = require('firebase-admin');
+
+class FirestoreStorage {
+  constructor(options = {}) {
+    this.name = 'firestore';
+
+    // Firebase初期化
+    if (!admin.apps.length) {
+      const serviceAccount = require(options.keyPath || './firebase-key.json');
+      admin.initializeApp({
+        credential: admin.credential.cert(serviceAccount),
+        projectId: options.projectId || process.env.FIREBASE_PROJECT_ID
+      });
+    }
+
+    this.db = admin.firestore();
+  }
+
+  // Firestore Timestamp を Date に変換（再帰）
+  fromFirestore(value) {
+    if (value === null || value === undefined) return value;
+    if (value instanceof admin.firestore.Timestamp) return value.toDate();
+    if (Array.isArray(value)) return value.map(v => this.fromFirestore(v));
+    if (typeof value === 'object' && value.constructor === Object) {
+      const result = {};
+      Object.keys(value).forEach(key => {
+        result[key] = this.fromFirestore(value[key]);
+      });
+      return result;
+    }
+    return value;
+  }
+
+  // 1. ドキュメント取得
+  async get(collection, id) {
+    const doc = await this.db.collection(collection).doc(id).get();
+    if (!doc.exists) return null;
+    return { id: doc.id, ...this.fromFirestore(doc.data()) };
+  }
+
+  // 2. ドキュメント作成・上書き
+  async set(collection, id, data) {
+    await this.db.collection(collection).doc(id).set(data);
+  }
+
+  // 3. ドキュメント部分更新
+  async update(collection, id, data) {
+    await this.db.collection(collection).doc(id).update(data);
+  }
+
+  // 4. 自動IDでドキュメント追加
+  async add(collection, data) {
+    const ref = await this.db.collection(collection).add(data);
+    return ref.id;
+  }
+
+  // 5. ドキュメント削除
+  async delete(collection, id) {
+    await this.db.collection(collection).doc(id).delete();
+  }
+
+  // 6. クエリ実行
+  // options: { where: [[field, op, value]], orderBy: [field, 'asc'|'desc'], limit, offset }
+  async query(collection, options = {}) {
+    let ref = this.db.collection(collection);
+
+    (options.where || []).forEach(([field, op, value]) => {
+      ref = ref.where(field, op, value);
+    });
+    if (options.orderBy) {
+      ref = ref.orderBy(options.orderBy[0], options.orderBy[1] || 'asc');
+    }
+    if (options.offset) {
+      ref = ref.offset(options.offset);
+    }
+    if (options.limit) {
+      ref = ref.limit(options.limit);
+    }
+
+    const snapshot = await ref.get();
+    const docs = [];
+    snapshot.forEach(doc => {
+      docs.push({ id: doc.id, ...this.fromFirestore(doc.data()) });
+    });
+    return docs;
+  }
+
+  // 7. 接続終了
+  async close() {
+    await Promise.all(admin.apps.map(app => app.delete()));
+    console.log('🔌 Firebase接続を終了しました');
+  }
+}
+
+module.exports = FirestoreStorage;
@@ -0,0 +1,113 @@
+// fixture-fetcher.js
+// 取得レスポンスの記録と再生（ネットワークなしで収集を再現するため）
+//
+// fixtures/<実行ID>/<キー>.json にステータス・ヘッダー（取得失敗時はエラー）、<キー>.xml に本文を保存する。
+// キーはフィードID（記事ページは "page-<URLのハッシュ>"）。
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_FIXTURE_DIR = process.env.FIXTURE_DIR || path.join(__dirname, 'fixtures');
+
+// 実行ID（記録開始時刻）
+function createRunId(date = new Date()) {
+  return date.toISOString().replace(/\.\d{3}Z$/, 'Z').replace(/:/g, '-');
+}
+
+// 記録済みの実行ID一覧（古い順）
+function listRuns(dir = DEFAULT_FIXTURE_DIR) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => entry.name)
+    .sort();
+}
+
+// 記録のキー（ファイル名に使える文字のみ）
+function getFixtureKey(url, options = {}) {
+  if (options.fixtureKey) return options.fixtureKey.replace(/[^a-zA-Z0-9_-]/g, '_');
+  return `page-${crypto.createHash('md5').update(url).digest('hex')}`;
+}
+
+class RecordingFetcher {
+  // fetcher: 実際に取得する FeedFetcher
+  constructor(fetcher, options = {}) {
+    this.fetcher = fetcher;
+    this.runId = options.runId || createRunId();
+    this.runDir = path.join(options.dir || DEFAULT_FIXTURE_DIR, this.runId);
+    fs.mkdirSync(this.runDir, { recursive: true });
+  }
+
+  // 取得して結果を記録（リトライ時は最後の試行で上書き）
+  // 304 では本文が残らないため、条件付きリクエストにせず常に全体を取得する
+  async fetch(url, options = {}) {
+    const key = getFixtureKey(url, options);
+    const meta = { url, recordedAt: new Date() };
+    const { etag, lastModified, ...fetchOptions } = options;
+
+    try {
+      const response = await this.fetcher.fetch(url, fetchOptions);
+      Object.assign(meta, {
+        status: response.status,
+        notModified: response.notModified,
+        headers: response.headers,
+        finalUrl: response.url
+      });
+      if (response.body !== null) {
+        fs.writeFileSync(path.join(this.runDir, `${key}.xml`), response.body);
+      }
+      return response;
+    } catch (error) {
+      meta.error = { message: error.message, status: error.status || null, code: error.code || null };
+      throw error;
+    } finally {
+      fs.writeFileSync(path.join(this.runDir, `${key}.json`), JSON.stringify(meta, null, 2) + '\n');
+    }
+  }
+}
+
+class ReplayFetcher {
+  // options.runId: 再生する実行ID（未指定は最新）
+  constructor(options = {}) {
+    const dir = options.dir || DEFAULT_FIXTURE_DIR;
+    this.runId = options.runId || listRuns(dir).pop();
+    if (!this.runId) {
+      throw new Error(`記録された取得結果がありません: ${dir}`);
+    }
+    this.runDir = path.join(dir, this.runId);
+    if (!fs.existsSync(this.runDir)) {
+      throw new Error(`記録が見つかりません: ${this.runDir}`);
+    }
+  }
+
+  // 記録したレスポンスを返す（条件付きリクエストのヘッダーは無視）
+  async fetch(url, options = {}) {
+    const key = getFixtureKey(url, options);
+    const metaPath = path.join(this.runDir, `${key}.json`);
+    if (!fs.existsSync(metaPath)) {
+      const error = new Error(`記録がありません: ${key} (${url})`);
+      error.code = 'ENOFIXTURE';
+      throw error;
+    }
+
+    const meta = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+    if (meta.error) {
+      const error = new Error(meta.error.message);
+      if (meta.error.status) error.status = meta.error.status;
+      if (meta.error.code) error.code = meta.error.code;
+      throw error;
+    }
+
+    const bodyPath = path.join(this.runDir, `${key}.xml`);
+    return {
+      status: meta.status,
+      notModified: meta.notModified,
+      headers: meta.headers,
+      body: fs.existsSync(bodyPath) ? fs.readFileSync(bodyPath, 'utf8') : null,
+      url: meta.finalUrl || url
+    };
+  }
+}
+
+module.exports = { RecordingFetcher, ReplayFetcher, createRunId, listRuns, DEFAULT_FIXTURE_DIR };
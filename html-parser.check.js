@@ -0,0 +1,56 @@
+// html-parser.check.js
+// html-parser.js の簡単なチェック（不正なHTMLでも処理時間が入力長に比例すること）
+
+const assert = require('assert');
+const { parseHtml, findAll, findFirst, textContent } = require('./html-parser');
+
+console.log('=== html-parser チェック ===\n');
+
+// 処理時間の上限（ミリ秒）。指数的・二乗的に増える場合は桁違いに遅くなる
+function assertFast(html, limitMs = 1000) {
+  const startedAt = Date.now();
+  parseHtml(html);
+  const elapsed = Date.now() - startedAt;
+  assert.ok(elapsed < limitMs, `${html.length} 文字に ${elapsed}ms かかりました`);
+}
+
+// 1. 通常のHTML
+const document = parseHtml('<p class="lead" data-id=12 hidden>Toyota &amp; <b>Lexus</b><br/>News</p>');
+const paragraph = findFirst(document, node => node.tag === 'p');
+assert.deepStrictEqual(paragraph.attrs, { class: 'lead', 'data-id': '12', hidden: '' });
+assert.strictEqual(textContent(document), 'Toyota & LexusNews');
+assert.deepStrictEqual(findAll(document, () => true).map(node => node.tag), ['p', 'b', 'br']);
+console.log('✅ 要素・属性・テキストの解析');
+
+const image = findFirst(parseHtml(`<img alt='A > B' src="/a.jpg">`), node => node.tag === 'img');
+assert.deepStrictEqual(image.attrs, { alt: 'A > B', src: '/a.jpg' });
+console.log('✅ 引用符内の > と単一引用符');
+
+const scriptDocument = parseHtml('<script>if (a<b) run("</p>")</script><p>本文</p>');
+assert.strictEqual(findFirst(scriptDocument, node => node.tag === 'script').children[0].text, 'if (a<b) run("</p>")');
+assert.strictEqual(textContent(scriptDocument), '本文');
+console.log('✅ script の中身はタグとして扱わない');
+
+assert.strictEqual(textContent(parseHtml('Price < 5 and a<b')), 'Price < 5 and a<b');
+assert.strictEqual(textContent(parseHtml('本文<!-- コメント -->続き<!-- 閉じていない')), '本文続き<!-- 閉じていない');
+console.log('✅ タグでない < と閉じられていないタグはテキスト');
+
+// 2. 悪意のある入力（以前は属性1つごとに処理時間が倍増していた）
+const attrs = ' a="x"'.repeat(5000);
+assertFast(`<img${attrs}`);
+assertFast(`<img${attrs} "`);
+console.log('✅ 閉じられていないタグに引用符付きの属性が多数');
+
+assertFast('<a b=c '.repeat(50000));
+assertFast('<a b="'.repeat(50000));
+assertFast('<a'.padEnd(200000, ' '));
+assertFast('<!--'.repeat(50000));
+console.log('✅ 閉じられていないタグが多数');
+
+// 3. 深い入れ子
+const nested = parseHtml(`${'<div><b>'.repeat(50000)}本文`);
+assert.strictEqual(textContent(nested), '本文');
+assert.strictEqual(findAll(nested, node => node.tag === 'b').length, 50000);
+console.log('✅ 深い入れ子でもスタックが溢れない');
+
+console.log('\n=== チェック完了 ===');
@@ -0,0 +1,255 @@
+// html-parser.js
+// 軽量HTMLパーサー（本文抽出・サニタイズ用の簡易DOMツリー）
+
+// 終了タグを持たない要素
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'
+]);
+
+// 中身をテキストとして扱う要素
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title', 'noscript']);
+
+// 開始タグで暗黙に閉じられる要素
+const IMPLICIT_CLOSE = {
+  p: new Set(['p', 'div', 'ul', 'ol', 'table', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote', 'pre', 'section', 'article', 'figure', 'header', 'footer']),
+  li: new Set(['li']),
+  dt: new Set(['dt', 'dd']),
+  dd: new Set(['dt', 'dd']),
+  tr: new Set(['tr']),
+  td: new Set(['td', 'th', 'tr']),
+  th: new Set(['td', 'th', 'tr']),
+  option: new Set(['option'])
+};
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  copy: '©', reg: '®', trade: '™', hellip: '…', mdash: '—', ndash: '–',
+  lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', bull: '•', middot: '·',
+  laquo: '«', raquo: '»', yen: '¥', euro: '€', pound: '£', deg: '°', times: '×'
+};
+
+// 1. 文字参照のデコード
+function decodeEntities(text) {
+  return (text || '').replace(/&(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      try {
+        return String.fromCodePoint(code);
+      } catch {
+        return match;
+      }
+    }
+    const decoded = NAMED_ENTITIES[entity.toLowerCase()];
+    return decoded !== undefined ? decoded : match;
+  });
+}
+
+// 入れ子の上限（これより深い要素は親と同じ階層に並べる。再帰処理でスタックが溢れないように）
+const MAX_DEPTH = 256;
+
+const WHITESPACE = /\s/;
+const TAG_NAME_START = /[a-zA-Z]/;
+const TAG_NAME_CHAR = /[\w:-]/;
+
+function createElement(tag, attrs, parent) {
+  return { type: 'element', tag, attrs, children: [], parent };
+}
+
+// 2. タグの読み取り（start は "<" の位置）
+// 正規表現を使わず1文字ずつ進めるため、閉じられていないタグや引用符があっても処理時間は入力長に比例する
+// 戻り値: { kind: 'open' | 'close' | 'other', tag, attrs, selfClosing, end } / タグでなければ null / 閉じられていなければ { end: -1 }
+function readTag(html, start) {
+  const length = html.length;
+  let index = start + 1;
+
+  // コメント・doctype・処理命令
+  if (html.startsWith('!--', index)) {
+    const close = html.indexOf('-->', index + 3);
+    return { kind: 'other', end: close === -1 ? -1 : close + 3 };
+  }
+  if (html[index] === '!' || html[index] === '?') {
+    const close = html.indexOf('>', index);
+    return { kind: 'other', end: close === -1 ? -1 : close + 1 };
+  }
+
+  const isClose = html[index] === '/';
+  if (isClose) index++;
+  if (!TAG_NAME_START.test(html[index] || '')) return null;
+
+  const nameStart = index;
+  while (index < length && TAG_NAME_CHAR.test(html[index])) index++;
+  const tag = html.slice(nameStart, index).toLowerCase();
+
+  if (isClose) {
+    const close = html.indexOf('>', index);
+    return { kind: 'close', tag, end: close === -1 ? -1 : close + 1 };
+  }
+
+  const attrs = {};
+  let selfClosing = false;
+  while (index < length) {
+    const char = html[index];
+    if (WHITESPACE.test(char)) {
+      index++;
+      continue;
+    }
+    if (char === '>') {
+      return { kind: 'open', tag, attrs, selfClosing, end: index + 1 };
+    }
+    if (char === '/') {
+      selfClosing = html[index + 1] === '>';
+      index++;
+      continue;
+    }
+
+    // 属性名
+    const attrStart = index;
+    while (index < length && !WHITESPACE.test(html[index]) && !'/>='.includes(html[index])) index++;
+    if (index === attrStart) index++; // 名前のない "="
+    const name = html.slice(attrStart, index).toLowerCase();
+
+    // 属性値（"=" がなければ空文字列）
+    let valueStart = index;
+    while (valueStart < length && WHITESPACE.test(html[valueStart])) valueStart++;
+    let value = '';
+    if (html[valueStart] === '=') {
+      index = valueStart + 1;
+      while (index < length && WHITESPACE.test(html[index])) index++;
+      const quote = html[index];
+      if (quote === '"' || quote === "'") {
+        const close = html.indexOf(quote, index + 1);
+        if (close === -1) return { end: -1 };
+        value = html.slice(index + 1, close);
+        index = close + 1;
+      } else {
+        const valueBegin = index;
+        while (index < length && !WHITESPACE.test(html[index]) && html[index] !== '>') index++;
+        value = html.slice(valueBegin, index);
+      }
+    }
+    if (name && name !== '=') attrs[name] = decodeEntities(value);
+  }
+
+  return { end: -1 };
+}
+
+// 3. HTML文字列をツリーに変換（閉じられていないタグ以降はテキストとして扱う）
+function parseHtml(html) {
+  const root = createElement('#root', {}, null);
+  let current = root;
+  let depth = 0;
+  const length = html.length;
+  let textStart = 0;
+  let index = 0;
+
+  const appendText = text => {
+    if (text) current.children.push({ type: 'text', text: decodeEntities(text), parent: current });
+  };
+
+  while (index < length) {
+    const open = html.indexOf('<', index);
+    if (open === -1) break;
+
+    const token = readTag(html, open);
+    if (!token) {
+      index = open + 1;
+      continue;
+    }
+    if (token.end === -1) break;
+
+    appendText(html.slice(textStart, open));
+    index = textStart = token.end;
+
+    if (token.kind === 'close') {
+      // 対応する開始タグまで遡って閉じる（なければ無視）
+      let node = current;
+      let levels = 1;
+      while (node !== root && node.tag !== token.tag) {
+        node = node.parent;
+        levels++;
+      }
+      if (node !== root) {
+        current = node.parent;
+        depth -= levels;
+      }
+      continue;
+    }
+
+    if (token.kind !== 'open') continue; // コメント・doctype
+
+    const { tag } = token;
+    const closes = IMPLICIT_CLOSE[current.tag];
+    if (closes && closes.has(tag)) {
+      current = current.parent;
+      depth--;
+    }
+
+    const element = createElement(tag, token.attrs, current);
+    current.children.push(element);
+
+    if (RAW_TEXT_ELEMENTS.has(tag)) {
+      const endPattern = new RegExp(`</${tag}\\s*>`, 'i');
+      const rest = html.slice(index);
+      const end = rest.search(endPattern);
+      const rawText = end === -1 ? rest : rest.slice(0, end);
+      element.children.push({ type: 'text', text: tag === 'script' || tag === 'style' ? rawText : decodeEntities(rawText), parent: element });
+      index = textStart = index + (end === -1 ? rest.length : end + rest.slice(end).match(endPattern)[0].length);
+      continue;
+    }
+
+    if (!VOID_ELEMENTS.has(tag) && !token.selfClosing && depth < MAX_DEPTH) {
+      current = element;
+      depth++;
+    }
+  }
+  appendText(html.slice(textStart));
+
+  return root;
+}
+
+// 4. 条件に一致する要素をすべて取得
+function findAll(node, predicate, results = []) {
+  (node.children || []).forEach(child => {
+    if (child.type !== 'element') return;
+    if (predicate(child)) results.push(child);
+    findAll(child, predicate, results);
+  });
+  return results;
+}
+
+// 5. 条件に一致する最初の要素
+function findFirst(node, predicate) {
+  for (const child of node.children || []) {
+    if (child.type !== 'element') continue;
+    if (predicate(child)) return child;
+    const found = findFirst(child, predicate);
+    if (found) return found;
+  }
+  return null;
+}
+
+// 6. テキスト内容（script/style は除外）
+function textContent(node) {
+  if (node.type === 'text') return node.text;
+  if (node.tag === 'script' || node.tag === 'style') return '';
+  return (node.children || []).map(textContent).join('');
+}
+
+// 7. 要素の削除
+function removeNode(node) {
+  if (!node.parent) return;
+  node.parent.children = node.parent.children.filter(child => child !== node);
+  node.parent = null;
+}
+
+module.exports = {
+  parseHtml,
+  decodeEntities,
+  findAll,
+  findFirst,
+  textContent,
+  removeNode,
+  VOID_ELEMENTS
+};
@@ -0,0 +1,164 @@
+// json-file-storage.js
+// ローカルJSONファイル ストレージバックエンド（クラウド認証不要）
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+class JsonFileStorage {
+  constructor(options = {}) {
+    this.name = 'local';
+    this.filePath = path.resolve(options.path || process.env.LOCAL_DB_PATH || './data/local-db.json');
+    this.collections = this.load();
+  }
+
+  // ファイルからデータを読み込み
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return {};
+    }
+    const content = fs.readFileSync(this.filePath, 'utf8');
+    return JSON.parse(content, (key, value) => {
+      if (value && typeof value === 'object' && typeof value.$date === 'string') {
+        return new Date(value.$date);
+      }
+      return value;
+    });
+  }
+
+  // ファイルへ書き込み（一時ファイル経由で原子的に置換）
+  persist() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const content = JSON.stringify(this.collections, function (key, value) {
+      const raw = this[key];
+      if (raw instanceof Date) {
+        return { $date: raw.toISOString() };
+      }
+      return value;
+    });
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, content);
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  // コレクション取得（なければ作成）
+  getCollection(collection) {
+    if (!this.collections[collection]) {
+      this.collections[collection] = {};
+    }
+    return this.collections[collection];
+  }
+
+  // 値のディープコピー（Dateを保持）
+  clone(value) {
+    if (value instanceof Date) return new Date(value.getTime());
+    if (Array.isArray(value)) return value.map(v => this.clone(v));
+    if (value && typeof value === 'object') {
+      const result = {};
+      Object.keys(value).forEach(key => {
+        if (value[key] !== undefined) {
+          result[key] = this.clone(value[key]);
+        }
+      });
+      return result;
+    }
+    return value;
+  }
+
+  // 比較用の値変換
+  comparable(value) {
+    return value instanceof Date ? value.getTime() : value;
+  }
+
+  // where条件の評価
+  matches(doc, [field, op, value]) {
+    const actual = this.comparable(doc[field]);
+    const expected = this.comparable(value);
+
+    if (actual === undefined) return false;
+
+    switch (op) {
+      case '==': return actual === expected;
+      case '!=': return actual !== expected;
+      case '>': return actual > expected;
+      case '>=': return actual >= expected;
+      case '<': return actual < expected;
+      case '<=': return actual <= expected;
+      case 'in': return value.map(v => this.comparable(v)).includes(actual);
+      case 'array-contains': return Array.isArray(doc[field]) && doc[field].includes(value);
+      default:
+        throw new Error(`未対応のクエリ演算子: ${op}`);
+    }
+  }
+
+  // 1. ドキュメント取得
+  async get(collection, id) {
+    const doc = this.getCollection(collection)[id];
+    if (!doc) return null;
+    return { id, ...this.clone(doc) };
+  }
+
+  // 2. ドキュメント作成・上書き
+  async set(collection, id, data) {
+    this.getCollection(collection)[id] = this.clone(data);
+    this.persist();
+  }
+
+  // 3. ドキュメント部分更新
+  async update(collection, id, data) {
+    const docs = this.getCollection(collection);
+    if (!docs[id]) {
+      throw new Error(`ドキュメントが存在しません: ${collection}/${id}`);
+    }
+    docs[id] = { ...docs[id], ...this.clone(data) };
+    this.persist();
+  }
+
+  // 4. 自動IDでドキュメント追加
+  async add(collection, data) {
+    const id = crypto.randomBytes(10).toString('hex');
+    await this.set(collection, id, data);
+    return id;
+  }
+
+  // 5. ドキュメント削除
+  async delete(collection, id) {
+    delete this.getCollection(collection)[id];
+    this.persist();
+  }
+
+  // 6. クエリ実行（Firestoreと同じ条件指定）
+  async query(collection, options = {}) {
+    const docs = this.getCollection(collection);
+    let results = Object.keys(docs).map(id => ({ id, ...docs[id] }));
+
+    (options.where || []).forEach(condition => {
+      results = results.filter(doc => this.matches(doc, condition));
+    });
+
+    if (options.orderBy) {
+      const [field, direction] = options.orderBy;
+      const sign = direction === 'desc' ? -1 : 1;
+      results = results
+        .filter(doc => doc[field] !== undefined)
+        .sort((a, b) => {
+          const x = this.comparable(a[field]);
+          const y = this.comparable(b[field]);
+          if (x < y) return -sign;
+          if (x > y) return sign;
+          return 0;
+        });
+    }
+
+    const offset = options.offset || 0;
+    const end = options.limit ? offset + options.limit : undefined;
+    return results.slice(offset, end).map(doc => this.clone(doc));
+  }
+
+  // 7. 接続終了
+  async close() {
+    console.log(`💾 ローカルストレージを閉じました (${this.filePath})`);
+  }
+}
+
+module.exports = JsonFileStorage;
@@ -0,0 +1,102 @@
+// merge-audit.js
+// 重複統合の監査ログ（統合前の記事と判定理由を保存し、取り消しに使う）
+
+const { COLLECTIONS } = require('./storage');
+
+const AUDIT_COLLECTION = COLLECTIONS.MERGE_AUDIT;
+
+class MergeAudit {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  // 1. 統合の記録（戻り値: 監査ログID）
+  // originalArticle: 統合前の既存記事, incomingArticle: 統合された新着記事
+  async record(targetId, originalArticle, incomingArticle, duplicate) {
+    const { reasons, ...scores } = duplicate.similarity;
+    return this.storage.add(AUDIT_COLLECTION, {
+      targetId,
+      incomingId: incomingArticle.id,
+      incomingTitle: incomingArticle.title,
+      incomingSource: incomingArticle.source,
+      incomingLink: incomingArticle.link || null,
+      originalArticle,
+      incomingArticle,
+      scores,
+      reasons,
+      status: 'merged',
+      mergedAt: new Date(),
+      unmergedAt: null
+    });
+  }
+
+  // 2. 監査ログの取得
+  async get(auditId) {
+    return this.storage.get(AUDIT_COLLECTION, auditId);
+  }
+
+  // 3. 監査ログ一覧（新しい順）
+  // options: { targetId, status, limit, offset }
+  async list(options = {}) {
+    const where = [];
+    if (options.targetId) where.push(['targetId', '==', options.targetId]);
+    if (options.status) where.push(['status', '==', options.status]);
+
+    return this.storage.query(AUDIT_COLLECTION, {
+      where,
+      orderBy: ['mergedAt', 'desc'],
+      limit: options.limit || 20,
+      offset: options.offset || 0
+    });
+  }
+
+  // 4. 対象記事への最新の有効な統合
+  async getLatestActiveMerge(targetId) {
+    const merges = await this.list({ targetId, status: 'merged', limit: 1 });
+    return merges[0] || null;
+  }
+
+  // 5. 取り込まれた記事IDの有効な統合（統合済みの記事の再取り込み判定用）
+  async findActiveByIncomingId(incomingId) {
+    const merges = await this.storage.query(AUDIT_COLLECTION, {
+      where: [['incomingId', '==', incomingId], ['status', '==', 'merged']],
+      limit: 1
+    });
+    return merges[0] || null;
+  }
+
+  // 6. 同じフィードの同じリンクの有効な統合（タイトルの修正で記事IDが変わった場合の照合用）
+  async findActiveByIncomingLink(link, source) {
+    const merges = await this.storage.query(AUDIT_COLLECTION, {
+      where: [['incomingLink', '==', link], ['incomingSource', '==', source], ['status', '==', 'merged']],
+      limit: 1
+    });
+    return merges[0] || null;
+  }
+
+  // 7. 統合された記事の差し替え（統合済みの記事が配信元で修正された場合）
+  async updateIncoming(auditId, incomingArticle) {
+    await this.storage.update(AUDIT_COLLECTION, auditId, {
+      incomingId: incomingArticle.id,
+      incomingTitle: incomingArticle.title,
+      incomingSource: incomingArticle.source,
+      incomingLink: incomingArticle.link || null,
+      incomingArticle
+    });
+  }
+
+  // 8. 取り消し済みとして記録
+  async markUnmerged(auditId) {
+    await this.storage.update(AUDIT_COLLECTION, auditId, {
+      status: 'unmerged',
+      unmergedAt: new Date()
+    });
+  }
+
+  // 9. 記録の削除（統合した記事を保存できなかった場合）
+  async remove(auditId) {
+    await this.storage.delete(AUDIT_COLLECTION, auditId);
+  }
+}
+
+module.exports = MergeAudit;
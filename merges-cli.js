@@ -0,0 +1,71 @@
+// merges-cli.js
+// 重複統合の監査ログ確認と取り消し
+//
+// 使い方:
+//   node merges-cli.js list [--target <記事ID>] [--limit 20]
+//   node merges-cli.js show <統合ID>
+//   node merges-cli.js unmerge <統合ID>
+
+const ToyotaNewsCollector = require('./rss-collector');
+
+function formatPercent(value) {
+  return `${Math.round((value || 0) * 100)}%`;
+}
+
+function printMerge(merge) {
+  console.log(`${merge.status === 'merged' ? '🔗' : '↩️ '} ${merge.id}  ${merge.mergedAt.toLocaleString()}`);
+  console.log(`   統合先: ${merge.targetId} ${merge.originalArticle.title}`);
+  console.log(`   統合元: ${merge.incomingId} ${merge.incomingTitle} (${merge.incomingSource})`);
+  console.log(`   理由: ${merge.reasons.join(', ')} / タイトル ${formatPercent(merge.scores.titleSimilarity)} / Jaccard ${formatPercent(merge.scores.jaccardSimilarity)} / コサイン ${formatPercent(merge.scores.cosineSimilarity)}`);
+  if (merge.unmergedAt) {
+    console.log(`   取り消し: ${merge.unmergedAt.toLocaleString()}`);
+  }
+}
+
+async function main(argv) {
+  const [command, ...args] = argv;
+  const collector = new ToyotaNewsCollector();
+
+  try {
+    switch (command) {
+      case 'list':
+      case undefined: {
+        const targetIndex = args.indexOf('--target');
+        const limitIndex = args.indexOf('--limit');
+        const merges = await collector.mergeAudit.list({
+          targetId: targetIndex !== -1 ? args[targetIndex + 1] : undefined,
+          limit: limitIndex !== -1 ? Number(args[limitIndex + 1]) : 20
+        });
+        if (merges.length === 0) console.log('統合記録はありません');
+        merges.forEach(printMerge);
+        break;
+      }
+
+      case 'show': {
+        const merge = await collector.mergeAudit.get(args[0]);
+        if (!merge) throw new Error(`統合記録が見つかりません: ${args[0]}`);
+        console.log(JSON.stringify(merge, null, 2));
+        break;
+      }
+
+      case 'unmerge':
+        if (!args[0]) throw new Error('統合IDを指定してください');
+        await collector.unmergeArticle(args[0]);
+        break;
+
+      default:
+        throw new Error(`不明なコマンド: ${command}`);
+    }
+  } finally {
+    await collector.cleanup();
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch(error => {
+    console.error('❌', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { main };
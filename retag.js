@@ -0,0 +1,110 @@
+// retag.js
+// 保存済み記事のタグ・エンティティを現在のタクソノミーで再計算
+// サニタイズ導入前の記事（contentHtml なし）は、説明・本文をプレーンテキスト化してから再計算
+//
+// 使い方:
+//   node retag.js             変更を保存
+//   node retag.js --dry-run   変更内容の表示のみ
+
+const ToyotaNewsCollector = require('./rss-collector');
+const ContentSanitizer = require('./content-sanitizer');
+const { COLLECTIONS } = require('./storage');
+
+const BATCH_SIZE = 200;
+
+// 配列・オブジェクトの比較用（キー順に依存しない）
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${key}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// 保存済みのHTMLをプレーンテキスト・サニタイズ済みHTMLに変換
+function sanitizeArticle(collector, article) {
+  // 削除済みのフィードの記事は共通の定型文パターンのみ
+  const feedInfo = article.feedId ? collector.feedRegistry.getFeed(article.feedId) : null;
+  const sanitizer = feedInfo ? collector.getSanitizer(feedInfo) : new ContentSanitizer();
+  const sanitized = sanitizer.normalize({
+    title: article.title,
+    description: article.description,
+    content: article.content
+  }, article.link);
+  const media = [...(article.media || [])];
+  sanitized.media.forEach(entry => {
+    if (!media.some(existing => existing.url === entry.url)) media.push(entry);
+  });
+  return {
+    title: sanitized.title || article.title,
+    description: sanitized.description,
+    // 記事ページから取得した本文はプレーンテキストのまま
+    content: article.fullText && article.content === article.fullText ? article.content : sanitized.content,
+    contentHtml: sanitized.contentHtml,
+    media
+  };
+}
+
+async function retagArticles(collector, options = {}) {
+  let offset = 0;
+  let scanned = 0;
+  let changed = 0;
+
+  for (;;) {
+    const articles = await collector.storage.query(COLLECTIONS.NEWS, {
+      orderBy: ['publishedAt', 'desc'],
+      limit: BATCH_SIZE,
+      offset
+    });
+    if (articles.length === 0) break;
+    offset += articles.length;
+
+    for (const article of articles) {
+      scanned++;
+      const sanitized = article.contentHtml === undefined ? sanitizeArticle(collector, article) : null;
+      const current = { ...article, ...sanitized };
+      const { tags, tagScores, entities } = collector.classifyArticle(current);
+      const isChanged = sanitized !== null ||
+        stableStringify([...(article.tags || [])].sort()) !== stableStringify([...tags].sort()) ||
+        stableStringify(article.tagScores || {}) !== stableStringify(tagScores) ||
+        stableStringify(article.entities || {}) !== stableStringify(entities);
+      if (!isChanged) continue;
+
+      changed++;
+      const removed = (article.tags || []).filter(tag => !tags.includes(tag));
+      const added = tags.filter(tag => !(article.tags || []).includes(tag));
+      console.log(`🏷️  ${current.title.substring(0, 50)}...`);
+      console.log(`   +[${added.join(', ')}] -[${removed.join(', ')}]${sanitized ? ' (サニタイズ)' : ''}`);
+
+      if (!options.dryRun) {
+        const updates = { ...sanitized, tags, tagScores, entities };
+        await collector.storage.update(COLLECTIONS.NEWS, article.id, updates);
+        await collector.searchIndex.indexArticle({ ...current, ...updates });
+        if (sanitized) await collector.dedupeIndex.indexArticle({ ...current, ...updates });
+      }
+    }
+  }
+
+  return { scanned, changed };
+}
+
+async function main(argv) {
+  const dryRun = argv.includes('--dry-run');
+  const collector = new ToyotaNewsCollector();
+  try {
+    console.log(`🔁 タグの再計算を開始${dryRun ? '（ドライラン）' : ''}`);
+    const { scanned, changed } = await retagArticles(collector, { dryRun });
+    console.log(`✅ ${scanned} 件中 ${changed} 件${dryRun ? 'が変更対象です' : 'を更新しました'}`);
+  } finally {
+    await collector.cleanup();
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch(error => {
+    console.error('❌ タグ再計算エラー:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { retagArticles };
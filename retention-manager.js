@@ -0,0 +1,474 @@
+// retention-manager.js
+// 保持期間を過ぎた記事・実行ログなどのアーカイブと削除（gzip 圧縮の NDJSON に退避、記事は概要のみ残す）
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { COLLECTIONS } = require('./storage');
+const ArticleTransfer = require('./article-transfer');
+const { createRunId } = require('./fixture-fetcher');
+
+// 対象コレクション（経過日数の判定に使うフィールド、stub: アーカイブ後も概要を残す）
+// createdField: 経過日数の判定と追加日時が異なる場合の追加日時のフィールド（古い日時で後から追加されたものを確認し直す）
+const TARGETS = {
+  articles: { collection: COLLECTIONS.NEWS, dateField: 'publishedAt', createdField: 'createdAt', stub: true },
+  logs: { collection: COLLECTIONS.LOGS, dateField: 'executedAt', stub: false },
+  revisions: { collection: COLLECTIONS.REVISIONS, dateField: 'detectedAt', stub: false },
+  merges: { collection: COLLECTIONS.MERGE_AUDIT, dateField: 'mergedAt', stub: false },
+  webhookDeadLetters: { collection: COLLECTIONS.WEBHOOK_DEAD_LETTERS, dateField: 'failedAt', stub: false },
+  // test-connection.js が途中で失敗した場合の残骸
+  connectionTest: { collection: 'connection_test', dateField: 'timestamp', stub: false }
+};
+
+// アーカイブ後の記事に残すフィールド（一覧・検索・リンク切れ確認に必要なもの）
+const STUB_FIELDS = [
+  'title', 'link', 'canonicalUrl', 'alternativeLinks', 'source', 'sources', 'feedId', 'category',
+  'language', 'tags', 'publishedAt', 'dateInfo', 'createdAt', 'updatedAt'
+];
+
+// 設定のデフォルト値
+const CONFIG_DEFAULTS = {
+  archiveDir: './archive',
+  batchSize: 200
+};
+
+// 処理の段階（段階ごとに確認済みの位置を保存する）
+const PHASES = ['archive', 'delete'];
+
+// 1プレビューあたりの表示件数
+const PREVIEW_LIMIT = 10;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+class RetentionManager {
+  // options.configPath: 保持ルールの設定ファイルのパス
+  // options.archiveDir / batchSize: 設定ファイルの値を上書き
+  constructor(collector, options = {}) {
+    this.collector = collector;
+    this.storage = collector.storage;
+    this.configPath = path.resolve(options.configPath || process.env.RETENTION_CONFIG || path.join(__dirname, 'retention.json'));
+    this.options = options;
+    this.rules = [];
+    this.archiveDir = null;
+    this.batchSize = CONFIG_DEFAULTS.batchSize;
+    this.stopRequested = false;
+  }
+
+  // 1. 保持ルールの読み込みと検証
+  load() {
+    if (!fs.existsSync(this.configPath)) {
+      throw new Error(`保持ルールの設定ファイルが見つかりません: ${this.configPath}`);
+    }
+
+    let config;
+    try {
+      config = JSON.parse(fs.readFileSync(this.configPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`保持ルールの設定ファイルのJSON形式エラー: ${error.message}`);
+    }
+
+    const errors = this.validate(config);
+    if (errors.length > 0) {
+      throw new Error(`保持ルールの設定が不正です (${this.configPath}):\n  - ${errors.join('\n  - ')}`);
+    }
+
+    const settings = { ...CONFIG_DEFAULTS, ...config };
+    this.rules = config.rules;
+    this.batchSize = this.options.batchSize || settings.batchSize;
+    // 相対パスは設定ファイルの場所から解決
+    this.archiveDir = path.resolve(path.dirname(this.configPath), this.options.archiveDir || settings.archiveDir);
+    return this;
+  }
+
+  // 2. 設定内容の検証（エラーメッセージの配列を返す）
+  validate(config) {
+    if (!config || !Array.isArray(config.rules)) {
+      return ['"rules" 配列が必要です'];
+    }
+
+    const errors = [];
+    if (config.archiveDir !== undefined && (typeof config.archiveDir !== 'string' || !config.archiveDir)) {
+      errors.push('archiveDir はディレクトリのパスで指定してください');
+    }
+    if (config.batchSize !== undefined && !isPositiveInteger(config.batchSize)) {
+      errors.push('batchSize は1以上の整数で指定してください');
+    }
+
+    config.rules.forEach((rule, index) => {
+      const label = `rules[${index}]`;
+      if (!rule || typeof rule !== 'object') {
+        errors.push(`${label}: オブジェクトである必要があります`);
+        return;
+      }
+      if (!TARGETS[rule.collection]) {
+        errors.push(`${label}: collection は ${Object.keys(TARGETS).join(' / ')} のいずれかで指定してください`);
+      }
+      if (rule.category !== undefined) {
+        if (rule.collection !== 'articles') {
+          errors.push(`${label}: category は articles のルールでのみ指定できます`);
+        } else if (typeof rule.category !== 'string' || !rule.category) {
+          errors.push(`${label}: category は文字列で指定してください`);
+        }
+      }
+      if (rule.archiveAfterDays === undefined && rule.deleteAfterDays === undefined) {
+        errors.push(`${label}: archiveAfterDays と deleteAfterDays のいずれかが必要です`);
+      }
+      ['archiveAfterDays', 'deleteAfterDays'].forEach(key => {
+        if (rule[key] !== undefined && !isPositiveInteger(rule[key])) {
+          errors.push(`${label}: ${key} は1以上の整数（日数）で指定してください`);
+        }
+      });
+      if (isPositiveInteger(rule.archiveAfterDays) && isPositiveInteger(rule.deleteAfterDays) &&
+          rule.deleteAfterDays < rule.archiveAfterDays) {
+        errors.push(`${label}: deleteAfterDays は archiveAfterDays 以上で指定してください`);
+      }
+    });
+
+    return errors;
+  }
+
+  // 3. ドキュメントに適用するルール（上から順に最初に一致したもの）
+  getRule(name, doc) {
+    return this.rules.find(rule =>
+      rule.collection === name && (rule.category === undefined || rule.category === doc.category)
+    ) || null;
+  }
+
+  // アーカイブ済みの概要のみの記事か（再取得で内容が戻った記事は対象外）
+  isStub(doc) {
+    return Boolean(doc.archive) &&
+      Object.keys(doc).every(key => key === 'id' || key === 'archive' || STUB_FIELDS.includes(key));
+  }
+
+  // 4. 処理の判定
+  // 戻り値: { action: 'archive' | 'delete', archive: 削除前に退避するか } または null
+  planAction(name, doc, now) {
+    const rule = this.getRule(name, doc);
+    const date = doc[TARGETS[name].dateField];
+    if (!rule || !(date instanceof Date)) return null;
+
+    const ageDays = (now.getTime() - date.getTime()) / DAY_MS;
+    const archived = TARGETS[name].stub && this.isStub(doc);
+    if (rule.deleteAfterDays && ageDays >= rule.deleteAfterDays) {
+      // アーカイブのルールがあれば、未退避のものは削除前に退避する
+      return { action: 'delete', archive: Boolean(rule.archiveAfterDays) && !archived };
+    }
+    if (rule.archiveAfterDays && ageDays >= rule.archiveAfterDays && !archived) {
+      return { action: 'archive', archive: true };
+    }
+    return null;
+  }
+
+  // 5. 実行（古い順にバッチ処理。確認済みの位置を保存するため、中断しても再実行で続きから処理される）
+  // options: { dryRun: true で変更せずに対象を確認, maxBatches: 1コレクションあたりの最大バッチ数, rescan: true で最初から確認, now }
+  // 戻り値: { runId, dryRun, completed, collections: { [名前]: { scanned, archived, deleted, kept, files, preview } } }
+  async run(options = {}) {
+    if (!this.archiveDir) this.load();
+    const now = options.now || new Date();
+    const runId = createRunId(now);
+    const summary = { runId, dryRun: Boolean(options.dryRun), completed: true, collections: {} };
+
+    console.log(`🗄️  保持ルールの適用開始${options.dryRun ? '（ドライラン）' : ''} - ${runId}`);
+
+    for (const name of Object.keys(TARGETS)) {
+      const rules = this.rules.filter(rule => rule.collection === name);
+      if (rules.length === 0) continue;
+
+      const stats = await this.processCollection(name, rules, { ...options, now, runId });
+      summary.collections[name] = stats;
+      console.log(`   ${name}: 確認 ${stats.scanned} / アーカイブ ${stats.archived} / 削除 ${stats.deleted} / 対象外 ${stats.kept}`);
+
+      if (!stats.completed) {
+        summary.completed = false;
+        break;
+      }
+    }
+    this.stopRequested = false;
+
+    console.log(summary.completed
+      ? '✅ 保持ルールの適用完了'
+      : '⏸️  保持ルールの適用を中断しました（再実行で続きから処理されます）');
+    return summary;
+  }
+
+  // 実行中の処理を現在のバッチの完了後に止める
+  stop() {
+    this.stopRequested = true;
+  }
+
+  // 6. コレクション単位の処理（アーカイブ・削除の段階ごとに、前回の続きから古い順に確認）
+  async processCollection(name, rules, options) {
+    const target = TARGETS[name];
+    const stats = { scanned: 0, archived: 0, deleted: 0, kept: 0, files: [], preview: [], completed: true };
+    const checkedAt = new Date();
+    const state = (options.rescan ? null : await this.storage.get(COLLECTIONS.RETENTION_STATE, name)) || {};
+    const fingerprint = JSON.stringify(rules);
+    const keptIds = new Set();
+    let batches = 0;
+
+    // 前回の確認以降に追加された、確認済みの日時より古いドキュメントから確認し直す
+    if (target.createdField && state.checkedAt) {
+      const earliest = await this.findEarliestAddedSince(name, state.checkedAt);
+      if (earliest) this.rewindState(state, earliest);
+    }
+
+    for (const phase of PHASES) {
+      const key = `${phase}AfterDays`;
+      const days = rules.filter(rule => rule[key]).map(rule => rule[key]);
+      if (days.length === 0) continue;
+
+      // 保持ルールが変わった場合は最初から確認する
+      const cursor = state[phase] && state[phase].rules === fingerprint ? state[phase].through : null;
+      const cutoff = new Date(options.now.getTime() - Math.min(...days) * DAY_MS);
+      // maxBatches は2つの段階の合計
+      const maxBatches = options.maxBatches ? options.maxBatches - batches : undefined;
+      const result = maxBatches === 0
+        ? { completed: false, through: cursor, batches: 0 }
+        : await this.processPhase(name, phase, { ...options, cursor, cutoff, maxBatches }, stats, keptIds);
+      batches += result.batches;
+      if (result.through) state[phase] = { through: result.through, rules: fingerprint };
+
+      if (!result.completed) {
+        stats.completed = false;
+        break;
+      }
+    }
+
+    if (!options.dryRun) {
+      await this.storage.set(COLLECTIONS.RETENTION_STATE, name, { ...state, checkedAt, updatedAt: new Date() });
+    }
+    stats.kept = keptIds.size;
+    return stats;
+  }
+
+  // 段階ごとの処理
+  // 戻り値: { completed, through: この段階の処理が済んだドキュメントが続く範囲の最後の日時, batches }
+  async processPhase(name, phase, options, stats, keptIds) {
+    const target = TARGETS[name];
+    const where = [[target.dateField, '<=', options.cutoff]];
+    if (options.cursor) where.push([target.dateField, '>', options.cursor]);
+
+    // 同じ日時のドキュメントがすべて済んでから through を進める
+    let through = null;
+    let pending = null;
+    let settled = true;
+
+    // 対象外・概要として残ったドキュメントの件数だけ読み飛ばす
+    let offset = 0;
+    let batch = 0;
+    while (true) {
+      const docs = await this.storage.query(target.collection, {
+        where,
+        orderBy: [target.dateField, 'asc'],
+        limit: this.batchSize,
+        offset
+      });
+      if (docs.length === 0) break;
+      batch++;
+
+      // この段階で行わない処理は、もう一方の段階で行う
+      const planned = docs.map(doc => {
+        const plan = this.planAction(name, doc, options.now);
+        if (!plan) keptIds.add(doc.id);
+        return { doc, plan: plan && plan.action === phase ? plan : null, deferred: Boolean(plan) && plan.action !== phase };
+      });
+      stats.scanned += docs.length;
+
+      planned.forEach(({ doc, plan }) => {
+        if (plan && stats.preview.length < PREVIEW_LIMIT) {
+          stats.preview.push({
+            id: doc.id,
+            date: doc[target.dateField],
+            title: doc.title || null,
+            category: doc.category || null,
+            action: plan.action
+          });
+        }
+      });
+
+      if (options.dryRun) {
+        planned.forEach(({ plan }) => {
+          if (plan) stats[plan.action === 'delete' ? 'deleted' : 'archived']++;
+        });
+        offset += docs.length;
+      } else {
+        offset += await this.applyBatch(name, planned, stats, `${options.runId}-${String(batch).padStart(4, '0')}`);
+
+        for (const { doc, plan, deferred } of planned) {
+          if (!settled) break;
+          if (!this.isSettled(name, phase, doc, plan, deferred)) {
+            settled = false;
+            break;
+          }
+          const date = doc[target.dateField];
+          if (pending && date > pending) through = pending;
+          pending = date;
+        }
+      }
+
+      if (docs.length < this.batchSize) break;
+      if (this.stopRequested || (options.maxBatches && batch >= options.maxBatches)) {
+        return { completed: false, through: through || options.cursor, batches: batch };
+      }
+    }
+
+    if (settled && pending) through = pending;
+    return { completed: true, through: through || options.cursor, batches: batch };
+  }
+
+  // 現在のルールでは、この段階で今後も処理する必要がないか
+  isSettled(name, phase, doc, plan, deferred) {
+    if (plan) return true;
+    const rule = this.getRule(name, doc);
+    if (!rule || !rule[`${phase}AfterDays`]) return true;
+    // 削除の段階で退避してから削除する
+    if (phase === 'archive') return deferred || (TARGETS[name].stub && this.isStub(doc));
+    return false;
+  }
+
+  // 指定日時以降に追加されたドキュメントのうち、最も古い日時
+  async findEarliestAddedSince(name, since) {
+    const target = TARGETS[name];
+    let earliest = null;
+    for (let offset = 0; ; offset += this.batchSize) {
+      const docs = await this.storage.query(target.collection, {
+        where: [[target.createdField, '>', since]],
+        limit: this.batchSize,
+        offset
+      });
+      docs.forEach(doc => {
+        const date = doc[target.dateField];
+        if (date instanceof Date && (!earliest || date < earliest)) earliest = date;
+      });
+      if (docs.length < this.batchSize) return earliest;
+    }
+  }
+
+  // 確認済みの位置を指定日時の直前まで戻す
+  rewindState(state, date) {
+    PHASES.forEach(phase => {
+      if (state[phase] && state[phase].through >= date) {
+        state[phase] = { ...state[phase], through: new Date(date.getTime() - 1) };
+      }
+    });
+    return state;
+  }
+
+  // 7. バッチの適用（退避が書き込めてから変更する。残ったドキュメント数を返す）
+  async applyBatch(name, planned, stats, fileId) {
+    const target = TARGETS[name];
+    const toArchive = planned.filter(({ plan }) => plan && plan.archive).map(({ doc }) => doc);
+    const file = toArchive.length > 0 ? this.writeArchive(name, fileId, toArchive) : null;
+    if (file) stats.files.push(file);
+
+    let remaining = 0;
+    for (const { doc, plan } of planned) {
+      if (!plan) {
+        remaining++;
+        continue;
+      }
+
+      if (plan.action === 'archive' && target.stub) {
+        const stub = this.toStub(doc, file);
+        const { id, ...data } = stub;
+        await this.storage.set(target.collection, id, data);
+        await this.collector.searchIndex.indexArticle(stub);
+        // 重複検出の比較対象からは外す
+        await this.collector.dedupeIndex.removeArticle(id);
+        stats.archived++;
+        remaining++;
+        continue;
+      }
+
+      await this.storage.delete(target.collection, doc.id);
+      if (name === 'articles') {
+        await this.collector.searchIndex.removeArticle(doc.id);
+        await this.collector.dedupeIndex.removeArticle(doc.id);
+      }
+      stats[plan.action === 'archive' ? 'archived' : 'deleted']++;
+    }
+    return remaining;
+  }
+
+  // 概要のみの記事（退避先を記録）
+  toStub(doc, file) {
+    const stub = { id: doc.id };
+    STUB_FIELDS.forEach(key => {
+      if (doc[key] !== undefined) stub[key] = doc[key];
+    });
+    stub.archive = { file, archivedAt: new Date() };
+    return stub;
+  }
+
+  // 8. アーカイブの書き込み（一時ファイルに書いてから置き換え、途中で止まっても壊れたファイルを残さない）
+  // 戻り値: アーカイブディレクトリからの相対パス
+  writeArchive(name, fileId, docs) {
+    fs.mkdirSync(path.join(this.archiveDir, name), { recursive: true });
+    // 同じ秒に実行した場合も既存のアーカイブは上書きしない
+    let file = path.join(name, `${fileId}.ndjson.gz`);
+    for (let suffix = 2; fs.existsSync(path.join(this.archiveDir, file)); suffix++) {
+      file = path.join(name, `${fileId}-${suffix}.ndjson.gz`);
+    }
+    const filePath = path.join(this.archiveDir, file);
+    const tempPath = `${filePath}.tmp`;
+
+    const body = docs.map(doc => `${JSON.stringify(doc)}\n`).join('');
+    fs.writeFileSync(tempPath, zlib.gzipSync(body));
+    fs.renameSync(tempPath, filePath);
+    return file;
+  }
+
+  // 9. アーカイブの読み込み（同じ id が複数あれば後のものを優先）
+  readArchive(file) {
+    const filePath = path.resolve(this.archiveDir, file);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`アーカイブが見つかりません: ${filePath}`);
+    }
+
+    const transfer = new ArticleTransfer(this.collector);
+    const docs = new Map();
+    zlib.gunzipSync(fs.readFileSync(filePath)).toString('utf8').split('\n').forEach(line => {
+      if (!line.trim()) return;
+      const doc = transfer.parseLine(line);
+      docs.set(doc.id, doc);
+    });
+    return docs;
+  }
+
+  // 10. アーカイブ済み記事の復元（概要をアーカイブの内容で置き換える）
+  // 戻り値: 復元した記事。記事がない場合は null
+  async restore(articleId) {
+    if (!this.archiveDir) this.load();
+    const stub = await this.storage.get(COLLECTIONS.NEWS, articleId);
+    if (!stub) return null;
+    if (!stub.archive || !stub.archive.file) {
+      throw new Error(`アーカイブされていない記事です: ${articleId}`);
+    }
+
+    const doc = this.readArchive(stub.archive.file).get(articleId);
+    if (!doc) {
+      throw new Error(`アーカイブに記事がありません: ${stub.archive.file}`);
+    }
+
+    const { id, archive, ...data } = doc;
+    await this.storage.set(COLLECTIONS.NEWS, id, data);
+    // 復元した記事は次回の実行で改めて判定する
+    const state = await this.storage.get(COLLECTIONS.RETENTION_STATE, 'articles');
+    if (state && data.publishedAt instanceof Date) {
+      await this.storage.set(COLLECTIONS.RETENTION_STATE, 'articles', this.rewindState(state, data.publishedAt));
+    }
+    const article = { id, ...data };
+    await this.collector.searchIndex.indexArticle(article);
+    await this.collector.dedupeIndex.indexArticle(article);
+    console.log(`♻️  記事を復元しました: ${article.title}`);
+    return article;
+  }
+}
+
+RetentionManager.TARGETS = TARGETS;
+
+module.exports = RetentionManager;
@@ -2,165 +2,537 @@
 // Toyota News RSS収集システム
 
 require('dotenv').config();
-const admin = require('firebase-admin');
 const Parser = require('rss-parser');
 const crypto = require('crypto');
 const AdvancedDuplicateDetector = require('./advanced-duplicate-detection');
+const { createStorage, COLLECTIONS } = require('./storage');
+const FeedRegistry = require('./feed-registry');
+const FeedFetcher = require('./feed-fetcher');
+const FetchScheduler = require('./fetch-scheduler');
+const SearchIndex = require('./search-index');
+const NearDuplicateIndex = require('./dedupe-index');
+const MergeAudit = require('./merge-audit');
+const ArticleRevisions = require('./article-revisions');
+const Taxonomy = require('./taxonomy');
+const ArticleEnricher = require('./article-enricher');
+const ContentSanitizer = require('./content-sanitizer');
+const DateResolver = require('./date-resolver');
+const FeedPublisher = require('./feed-publisher');
+const WebhookNotifier = require('./webhook-notifier');
+const DryRunStorage = require('./dry-run-storage');
+const FeedHealth = require('./feed-health');
+const { RecordingFetcher, ReplayFetcher } = require('./fixture-fetcher');
+const { EXIT_CODES, collectExitCode } = require('./exit-codes');
+
+const NEWS_COLLECTION = COLLECTIONS.NEWS;
+const LOG_COLLECTION = COLLECTIONS.LOGS;
+const FEED_STATE_COLLECTION = COLLECTIONS.FEED_STATE;
+
+// フィード状態に保持する既読アイテム数の上限
+const MAX_SEEN_ITEMS = 500;
+
+// 記事ページから取得したフィールド（統合時に本文のない既存記事へ引き継ぐ）
+const ENRICHMENT_FIELDS = ['fullText', 'leadImage', 'canonicalUrl', 'og', 'enrichment'];
+
+// 取得間隔の判定の許容幅（間隔に対する割合、定期実行の開始時刻のずれを吸収）
+const FETCH_INTERVAL_SLACK = 0.1;
+
+// 記事ページ取得（本文抽出）のデフォルト設定
+const ENRICH_DEFAULTS = {
+  concurrency: 1,
+  hostDelayMs: 2000,
+  retries: 1,
+  timeoutMs: 20000,
+  maxPerFeed: 20
+};
+
+// 統合の取り消しエラー（status: API で返すHTTPステータス）
+function unmergeError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
 
 class ToyotaNewsCollector {
-  constructor() {
-    this.parser = new Parser({
-      customFields: {
-        item: ['pubDate', 'description', 'content:encoded']
-      }
-    });
+  // options.storage: ストレージ設定（{ backend: 'firestore' | 'local', ... }）またはストレージインスタンス
+  // options.feedsConfig: フィード設定ファイルのパス
+  // options.fetch: 取得スケジューラー設定（concurrency, hostDelayMs, retries, timeoutMs など）
+  // options.taxonomyConfig: タクソノミー設定ファイルのパス
+  // options.enrich: 記事ページ取得の設定（hostDelayMs, retries, timeoutMs, maxPerFeed など）
+  // options.publish: 配信フィードの設定（{ outputDir, baseUrl }）
+  // options.webhooks: Webhook通知の設定（{ configPath, retries, timeoutMs など }）
+  // options.health: アラート条件のデフォルト値（{ alerts: { maxConsecutiveFailures, staleDays, slowResponseMs } }）
+  // options.dryRun: true の場合は取得・正規化・重複検出のみ行い、書き込みと通知を行わない
+  // options.fixtures: 取得結果の記録・再生（{ mode: 'record' | 'replay', dir, runId }）
+  constructor(options = {}) {
+    this.parser = this.createParser();
+    this.fetcher = this.createFetcher(options.fixtures);
+    
+    // 再生時は待機・リトライ不要（記録済みの結果をそのまま返す）
+    this.replaying = this.fetcher instanceof ReplayFetcher;
+    const replayOptions = this.replaying ? { hostDelayMs: 0, retries: 0 } : {};
+    this.fetchScheduler = new FetchScheduler(this.fetcher, { ...options.fetch, ...replayOptions });
+    
+    // 記事ページからの本文抽出（フィード取得とは別のレート制限）
+    this.enrichOptions = { ...ENRICH_DEFAULTS, ...(options.enrich || {}) };
+    this.enricher = new ArticleEnricher(new FetchScheduler(this.fetcher, { ...this.enrichOptions, ...replayOptions }));
+    
+    // 保存処理の排他制御（並列取得したフィード間の重複検出を正しく行うため）
+    this.storeLock = Promise.resolve();
+    
+    // フィード設定の読み込み（起動時に検証）
+    this.feedRegistry = new FeedRegistry(options.feedsConfig).load();
+    this.taxonomy = new Taxonomy(options.taxonomyConfig).load();
+    
+    // 説明・本文のサニタイズ（フィード毎の定型文パターンを保持）
+    this.sanitizers = new Map();
+    
+    // 公開日時の解決（フィード毎のタイムゾーンを保持）
+    this.dateResolvers = new Map();
     
     // 高度な重複検出システム
     this.duplicateDetector = new AdvancedDuplicateDetector();
     
-    // Firebase初期化
-    if (!admin.apps.length) {
-      const serviceAccount = require('./firebase-key.json');
-      admin.initializeApp({
-        credential: admin.credential.cert(serviceAccount),
-        projectId: process.env.FIREBASE_PROJECT_ID
-      });
+    // ストレージ初期化（Firestore または ローカル）
+    this.storage = options.storage && typeof options.storage.query === 'function'
+      ? options.storage
+      : createStorage(options.storage);
+    
+    // ドライランでは書き込みをメモリ上に留める（同じ実行内の重複検出には反映）
+    this.dryRun = Boolean(options.dryRun);
+    if (this.dryRun) {
+      this.storage = new DryRunStorage(this.storage);
     }
     
-    this.db = admin.firestore();
-    this.newsCollection = this.db.collection('toyota_news');
+    // 全文検索インデックス（取り込み時に更新）
+    this.searchIndex = new SearchIndex(this.storage, this.duplicateDetector);
+    
+    // 重複候補インデックス（MinHash / LSH）
+    this.dedupeIndex = new NearDuplicateIndex(this.storage, this.duplicateDetector);
+    
+    // 重複統合の監査ログ
+    this.mergeAudit = new MergeAudit(this.storage);
+    
+    // 配信元での修正による改訂履歴
+    this.revisions = new ArticleRevisions(this.storage);
+    
+    // フィードの稼働状況（連続失敗・更新停止などのアラート判定）
+    this.feedHealth = new FeedHealth(this.storage, options.health);
+    
+    // 配信フィード（RSS / Atom / JSON Feed）
+    this.publisher = new FeedPublisher(this, options.publish);
+    
+    // 条件に一致した記事の Webhook 通知
+    this.webhookNotifier = new WebhookNotifier(this.storage, options.webhooks).load();
   }
 
-  // RSS フィードのURL設定
-  getRSSFeeds() {
-    return [
-      {
-        name: 'Toyota Official News',
-        url: 'https://global.toyota/en/newsroom/rss/',
-        category: 'official'
-      },
-      {
-        name: 'Toyota USA News',
-        url: 'https://pressroom.toyota.com/rss/',
-        category: 'usa'
-      },
-      {
-        name: 'Toyota Europe News', 
-        url: 'https://newsroom.toyota.eu/rss/',
-        category: 'europe'
+  // フィード取得の生成（記録モードは実際の取得結果を保存、再生モードは保存済みの結果を返す）
+  // fixtures 未指定時は FIXTURE_MODE / FIXTURE_RUN 環境変数を参照
+  createFetcher(fixtures = {}) {
+    const mode = fixtures.mode || process.env.FIXTURE_MODE;
+    const fixtureOptions = { dir: fixtures.dir, runId: fixtures.runId || process.env.FIXTURE_RUN };
+    
+    switch (mode) {
+      case undefined:
+      case '':
+        return new FeedFetcher();
+      case 'record': {
+        const fetcher = new RecordingFetcher(new FeedFetcher(), fixtureOptions);
+        console.log(`📼 取得結果を記録します: ${fetcher.runDir}`);
+        return fetcher;
       }
-    ];
+      case 'replay': {
+        const fetcher = new ReplayFetcher(fixtureOptions);
+        console.log(`▶️  記録した取得結果を再生します: ${fetcher.runDir}`);
+        return fetcher;
+      }
+      default:
+        throw new Error(`未対応の FIXTURE_MODE: ${mode}（record / replay）`);
+    }
+  }
+
+  // RSSパーサーの生成（フィード毎のカスタムフィールドに対応）
+  createParser(feedInfo = {}) {
+    return new Parser({
+      customFields: {
+        item: [
+          'pubDate', 'description', 'content:encoded',
+          'dc:date', 'dcterms:issued', 'dcterms:modified', 'published', 'updated',
+          ['media:content', 'mediaContent', { keepArray: true }],
+          ['media:thumbnail', 'mediaThumbnail', { keepArray: true }],
+          ['media:group', 'mediaGroup', { keepArray: true }],
+          ...(feedInfo.customFields || [])
+        ]
+      }
+    });
   }
 
-  // 記事のユニークIDを生成（基本版）
+  // RSS フィードのURL設定（feeds.json の有効なフィード）
+  getRSSFeeds() {
+    return this.feedRegistry.getEnabledFeeds();
+  }
+
+  // 記事のユニークIDを生成（基本版、タイトルのない記事は空文字として扱う）
   generateArticleId(title, link) {
-    return this.duplicateDetector.generateBasicId(title, link);
+    return this.duplicateDetector.generateBasicId(title || '', link);
+  }
+
+  // 説明・本文のサニタイザー（フィード毎）
+  getSanitizer(feedInfo) {
+    const key = this.getFeedStateId(feedInfo);
+    if (!this.sanitizers.has(key)) {
+      this.sanitizers.set(key, new ContentSanitizer({ boilerplate: feedInfo.boilerplate }));
+    }
+    return this.sanitizers.get(key);
+  }
+
+  // サニタイズ導入前に保存した記事（contentHtml なし）のタイトル・説明をサニタイズ後の値に揃える（変更検知の比較用）
+  toSanitizedArticle(article, feedInfo) {
+    if (article.contentHtml !== undefined) return article;
+    const sanitized = this.getSanitizer(feedInfo).normalize({
+      title: article.title,
+      description: article.description
+    }, article.link);
+    return { ...article, title: sanitized.title || article.title, description: sanitized.description };
+  }
+
+  // 公開日時のリゾルバー（フィード毎、timezone 未指定時は日本語フィードを日本時間とみなす）
+  getDateResolver(feedInfo) {
+    const key = this.getFeedStateId(feedInfo);
+    if (!this.dateResolvers.has(key)) {
+      const timezone = feedInfo.timezone || (feedInfo.language === 'ja' ? 'Asia/Tokyo' : 'UTC');
+      this.dateResolvers.set(key, new DateResolver({ timezone }));
+    }
+    return this.dateResolvers.get(key);
   }
 
   // 記事データの正規化
+  // description / content はプレーンテキスト（重複検出・タグ付けに使用）、contentHtml は許可リストでサニタイズしたHTML
+  // publishedAt は UTC、dateInfo に採用したフィールド・元の表記とオフセット・警告フラグを記録
   normalizeArticle(item, feedInfo) {
     const now = new Date();
+    const sanitized = this.getSanitizer(feedInfo).normalize(item, item.link);
+    const published = this.getDateResolver(feedInfo).resolve(item, now);
     
-    return {
+    const article = {
+      // IDは元のタイトルから生成（サニタイズ規則の変更で既存記事のIDが変わらないように）
       id: this.generateArticleId(item.title, item.link),
-      title: item.title || 'No Title',
+      title: sanitized.title || 'No Title',
       link: item.link || '',
-      description: item.description || item.summary || '',
-      content: item['content:encoded'] || item.content || '',
-      publishedAt: item.pubDate ? new Date(item.pubDate) : now,
+      description: sanitized.description,
+      content: sanitized.content,
+      contentHtml: sanitized.contentHtml,
+      media: sanitized.media,
+      publishedAt: published.date,
+      dateInfo: published.info,
       source: feedInfo.name,
+      feedId: feedInfo.id || null,
       category: feedInfo.category,
+      language: feedInfo.language || 'en',
       feedUrl: feedInfo.url,
       createdAt: now,
       updatedAt: now,
-      tags: this.extractTags(item.title, item.description),
       isProcessed: false
     };
+    
+    const { tags, tagScores, entities } = this.classifyArticle(article);
+    return { ...article, tags, tagScores, entities };
   }
 
-  // タグの抽出（キーワードベース）
+  // タグの抽出（taxonomy.json のルールに基づく）
   extractTags(title, description) {
-    const text = `${title} ${description}`.toLowerCase();
-    const tags = [];
-    
-    // Toyota関連キーワード
-    const keywords = [
-      'electric', 'hybrid', 'ev', 'battery',
-      'sustainability', 'carbon', 'green',
-      'technology', 'innovation', 'ai',
-      'safety', 'autonomous', 'mobility',
-      'manufacturing', 'production', 'factory',
-      'sales', 'market', 'financial',
-      'partnership', 'collaboration'
-    ];
-    
-    keywords.forEach(keyword => {
-      if (text.includes(keyword)) {
-        tags.push(keyword);
+    return this.taxonomy.classify(title, description).tags;
+  }
+
+  // タグ・エンティティの抽出（確信度付き）
+  classifyArticle(article) {
+    const body = [article.content, article.fullText].filter(Boolean).join(' ');
+    return this.taxonomy.classify(article.title, article.description, body);
+  }
+
+  // 記事ページから本文・画像・メタデータを取得して記事に追加
+  async enrichArticle(article) {
+    try {
+      const enrichment = await this.enricher.enrich(article.link);
+      article.fullText = enrichment.fullText;
+      article.leadImage = enrichment.leadImage;
+      article.canonicalUrl = enrichment.canonicalUrl;
+      article.og = enrichment.og;
+      article.enrichment = { status: 'ok', enrichedAt: new Date() };
+      
+      // フィードに本文がない場合は抽出した本文を使う
+      if (!article.content && enrichment.fullText) {
+        article.content = enrichment.fullText;
       }
-    });
+      
+      const { tags, tagScores, entities } = this.classifyArticle(article);
+      Object.assign(article, { tags, tagScores, entities });
+      console.log(`📄 本文取得: ${article.title.substring(0, 50)}... (${enrichment.fullText.length}文字)`);
+    } catch (error) {
+      article.enrichment = { status: 'failed', error: error.message, enrichedAt: new Date() };
+      console.error(`⚠️  本文取得エラー: ${article.link} - ${error.message}`);
+    }
+    return article;
+  }
+
+  // 未登録のアイテムの本文を取得（feeds.json の enrich が true のフィードのみ、maxPerFeed 件まで）
+  // 戻り値: guid → 本文取得済みの記事
+  async enrichNewItems(items, feedInfo, seenItems) {
+    const enriched = new Map();
+    if (!feedInfo.enrich) return enriched;
     
-    return tags;
+    for (const item of items) {
+      if (enriched.size >= this.enrichOptions.maxPerFeed) break;
+      // リンクのない記事はページを取得できない
+      if (!item.link) continue;
+      
+      const guid = this.getItemGuid(item);
+      if (enriched.has(guid) || seenItems.get(guid) === this.getItemFingerprint(item)) continue;
+      
+      const article = this.normalizeArticle(item, feedInfo);
+      const existing = await this.storage.get(NEWS_COLLECTION, article.id) ||
+        await this.findArticleByLink(article.link, feedInfo.name);
+      if (existing) continue;
+      
+      enriched.set(guid, await this.enrichArticle(article));
+    }
+    return enriched;
+  }
+
+  // フィード状態のキー
+  getFeedStateId(feedInfo) {
+    return feedInfo.id || crypto.createHash('md5').update(feedInfo.url).digest('hex');
+  }
+
+  // フィード状態の取得（ETag / Last-Modified / 既読アイテム）
+  async getFeedState(feedInfo) {
+    try {
+      return (await this.storage.get(FEED_STATE_COLLECTION, this.getFeedStateId(feedInfo))) || {};
+    } catch (error) {
+      console.error('フィード状態取得エラー:', error.message);
+      return {};
+    }
+  }
+
+  // フィード状態の保存（再生時は記録時点の etag・既読アイテムで本番の状態を上書きしない）
+  async saveFeedState(feedInfo, state) {
+    if (this.replaying) return;
+    const { id, ...data } = state;
+    await this.storage.set(FEED_STATE_COLLECTION, this.getFeedStateId(feedInfo), {
+      ...data,
+      feedUrl: feedInfo.url
+    });
+  }
+
+  // アイテムの識別子（guid → id → link）
+  getItemGuid(item) {
+    return item.guid || item.id || item.link || item.title || '';
+  }
+
+  // アイテム内容のフィンガープリント（編集検出用）
+  getItemFingerprint(item) {
+    const content = `${item.title || ''}\n${item.description || item.summary || ''}`;
+    return crypto.createHash('md5').update(content).digest('hex');
+  }
+
+  // 取得間隔内かどうか（fetchIntervalMinutes、前回の完了時刻からなので開始時刻のずれ分の余裕を持たせる）
+  isWithinFetchInterval(feedInfo, state, now = new Date()) {
+    if (!feedInfo.fetchIntervalMinutes || !state.lastSuccessAt) return false;
+    const elapsedMinutes = (now - new Date(state.lastSuccessAt)) / (1000 * 60);
+    return elapsedMinutes < feedInfo.fetchIntervalMinutes * (1 - FETCH_INTERVAL_SLACK);
+  }
+
+  // 保存処理のロック取得（解放関数を返す）
+  async acquireStoreLock() {
+    const previous = this.storeLock;
+    let release;
+    this.storeLock = new Promise(resolve => { release = resolve; });
+    await previous;
+    return release;
   }
 
   // 単一フィードの処理（重複検出強化版）
-  async processFeed(feedInfo) {
+  async processFeed(feedInfo, state = null) {
+    let releaseStoreLock = null;
+    let attempts = [];
+    let responseMs = null;
     try {
       console.log(`📡 ${feedInfo.name} の RSS を取得中...`);
       
-      const feed = await this.parser.parseURL(feedInfo.url);
+      const feedState = state || await this.getFeedState(feedInfo);
+      const fetchedAt = new Date();
+      
+      // 条件付きリクエスト（変更がなければ 304）、失敗時はバックオフして再試行
+      const fetched = await this.fetchScheduler.fetch(feedInfo.url, {
+        fixtureKey: this.getFeedStateId(feedInfo),
+        headers: feedInfo.headers,
+        etag: feedState.etag,
+        lastModified: feedState.lastModified
+      });
+      const response = fetched.response;
+      attempts = fetched.attempts;
+      responseMs = fetched.elapsedMs;
+      
+      if (response.notModified) {
+        console.log('💤 更新なし (304 Not Modified)');
+        await this.saveFeedState(feedInfo, {
+          ...feedState,
+          lastFetchedAt: fetchedAt,
+          lastSuccessAt: fetchedAt,
+          lastStatus: 304
+        });
+        return {
+          feed: feedInfo.name,
+          notModified: true,
+          total: 0,
+          new: 0,
+          updated: 0,
+          duplicates: 0,
+          skipped: 0,
+          attempts,
+          status: 304,
+          responseMs
+        };
+      }
+      
+      const hasCustomFields = feedInfo.customFields && feedInfo.customFields.length > 0;
+      const parser = hasCustomFields ? this.createParser(feedInfo) : this.parser;
+      const feed = await parser.parseString(response.body);
       console.log(`📰 ${feed.items.length} 件の記事を発見`);
       
+      // 解析警告（必須項目の欠落など）
+      const warnings = this.getParseWarnings(feed, feedInfo);
+      warnings.forEach(warning => console.log(`⚠️  解析警告: ${warning}`));
+      
+      // 前回から変化のないアイテムはスキップ
+      const seenItems = new Map((feedState.seenItems || []).map(seen => [seen.guid, seen.fingerprint]));
+      const currentItems = [];
+      
       let newArticles = 0;
       let updatedArticles = 0;
       let duplicatesFound = 0;
+      let skippedArticles = 0;
+      
+      // ドライランの実行計画
+      const plan = this.dryRun ? { inserts: [], updates: [], merges: [] } : null;
+      
+      // 記事ページの取得は時間がかかるため、ロックの前に済ませる
+      const enrichedArticles = await this.enrichNewItems(feed.items, feedInfo, seenItems);
+      
+      // ここから先の保存処理は1フィードずつ
+      releaseStoreLock = await this.acquireStoreLock();
       
       for (const item of feed.items) {
-        const article = this.normalizeArticle(item, feedInfo);
+        const guid = this.getItemGuid(item);
+        const fingerprint = this.getItemFingerprint(item);
+        currentItems.push({ guid, fingerprint });
         
-        // 既存記事のチェック（基本ID）
-        const existingDoc = await this.newsCollection.doc(article.id).get();
+        if (seenItems.get(guid) === fingerprint) {
+          skippedArticles++;
+          continue;
+        }
         
-        if (existingDoc.exists) {
-          // 既存記事の更新チェック
-          const existingData = existingDoc.data();
-          if (existingData.title !== article.title || 
-              existingData.description !== article.description) {
+        const article = enrichedArticles.get(guid) || this.normalizeArticle(item, feedInfo);
+        enrichedArticles.delete(guid);
+        
+        // 既存記事のチェック（基本ID、タイトル修正でIDが変わった記事は同じフィードの同じリンクで照合）
+        let existingData = await this.storage.get(NEWS_COLLECTION, article.id);
+        if (!existingData && article.link) {
+          existingData = await this.findArticleByLink(article.link, feedInfo.name);
+          if (existingData) article.id = existingData.id;
+        }
+        
+        // アーカイブ済みの記事（概要のみ）は更新しない（全文で上書きすると退避先の記録と食い違う。restore 後に反映される）
+        if (existingData && existingData.archive) {
+          skippedArticles++;
+          continue;
+        }
+        
+        if (existingData) {
+          // 既存記事の更新チェック（サニタイズ導入前の記事はサニタイズ後の値と比較）
+          const previousData = this.toSanitizedArticle(existingData, feedInfo);
+          if (previousData.title !== article.title || 
+              previousData.description !== article.description) {
             article.updatedAt = new Date();
-            await this.newsCollection.doc(article.id).update(article);
+            // 初回取得日時と抽出済みの本文は保持
+            article.createdAt = existingData.createdAt || article.createdAt;
+            // 公開日時が取得日時で代用された場合は既存の公開日時を保持
+            if (article.dateInfo.source === 'fetchedAt' && existingData.publishedAt) {
+              article.publishedAt = existingData.publishedAt;
+              article.dateInfo = existingData.dateInfo || article.dateInfo;
+            }
+            if (existingData.fullText) {
+              if (!article.content) article.content = existingData.content;
+              // タグ・索引は本文を含めて作り直す（フィードの内容だけでは本文由来のタグが消える）
+              article.fullText = existingData.fullText;
+              const { tags, tagScores, entities } = this.classifyArticle(article);
+              Object.assign(article, { tags, tagScores, entities });
+            }
+            const changes = this.diffArticle(previousData, { ...previousData, ...article });
+            if (plan) {
+              plan.updates.push({
+                id: article.id,
+                title: article.title,
+                changes
+              });
+            }
+            // 更新前の版を改訂履歴に先に保存し、記事を更新できなければ改訂も削除する
+            const revision = await this.revisions.record(article.id, existingData, changes, feedInfo.name);
+            try {
+              await this.storage.update(NEWS_COLLECTION, article.id, article);
+            } catch (error) {
+              if (revision) await this.revisions.remove(revision.id);
+              throw error;
+            }
+            await this.searchIndex.indexArticle(article);
+            await this.dedupeIndex.indexArticle(article);
             updatedArticles++;
             console.log(`🔄 更新: ${article.title.substring(0, 50)}...`);
+            if (revision) {
+              console.log(`   📜 改訂 ${revision.revision}: ${revision.fields.join(', ')}`);
+            }
           }
         } else {
-          // 高度な重複検出
-          const recentArticles = await this.getRecentArticles(7); // 過去7日間
-          const duplicates = await this.duplicateDetector.findDuplicates(article, recentArticles);
+          // 重複検出の対象期間
+          const lookbackDate = new Date();
+          lookbackDate.setDate(lookbackDate.getDate() - (feedInfo.dedupeLookbackDays || 7));
           
-          if (duplicates.length > 0) {
-            // 重複記事発見 - 既存記事を更新
-            const bestMatch = duplicates[0];
-            const existingArticle = recentArticles.find(a => a.id === bestMatch.existingId);
-            const mergedArticle = this.duplicateDetector.mergeArticles(existingArticle, article);
-            
-            await this.newsCollection.doc(bestMatch.existingId).update(mergedArticle);
+          const status = await this.storeNewArticle(article, { since: lookbackDate, plan });
+          if (status === 'merged') {
             duplicatesFound++;
-            console.log(`🔗 重複統合: ${article.title.substring(0, 50)}...`);
-            console.log(`   → 既存記事 ${bestMatch.existingId} と統合`);
           } else {
-            // 新規記事の保存
-            await this.newsCollection.doc(article.id).set(article);
             newArticles++;
-            console.log(`✨ 新規: ${article.title.substring(0, 50)}...`);
           }
         }
       }
       
+      if (skippedArticles > 0) {
+        console.log(`⏭️  ${skippedArticles} 件は前回から変更なし`);
+      }
+      
+      // 次回の条件付きリクエスト用に状態を保存
+      await this.saveFeedState(feedInfo, {
+        ...feedState,
+        etag: response.headers.etag || null,
+        lastModified: response.headers['last-modified'] || null,
+        seenItems: currentItems.slice(0, MAX_SEEN_ITEMS),
+        lastFetchedAt: fetchedAt,
+        lastSuccessAt: fetchedAt,
+        lastStatus: response.status
+      });
+      
       return { 
         feed: feedInfo.name, 
         total: feed.items.length,
         new: newArticles, 
         updated: updatedArticles,
-        duplicates: duplicatesFound
+        duplicates: duplicatesFound,
+        skipped: skippedArticles,
+        attempts,
+        status: response.status,
+        responseMs,
+        warnings,
+        ...(plan ? { plan } : {})
       };
       
     } catch (error) {
@@ -171,9 +543,178 @@ class ToyotaNewsCollector {
         total: 0,
         new: 0, 
         updated: 0,
-        duplicates: 0
+        duplicates: 0,
+        skipped: 0,
+        attempts: error.attempts || attempts,
+        status: error.status || null,
+        responseMs
       };
+    } finally {
+      if (releaseStoreLock) releaseStoreLock();
+    }
+  }
+
+  // 同じソースの同じリンクの記事
+  async findArticleByLink(link, source) {
+    const articles = await this.storage.query(NEWS_COLLECTION, {
+      where: [['link', '==', link], ['source', '==', source]],
+      limit: 1
+    });
+    return articles[0] || null;
+  }
+
+  // 新着記事の保存（重複があれば既存記事に統合）
+  // options.since: 重複候補とする既存記事の公開日時の下限
+  // options.plan: ドライランの実行計画（指定時は内容を記録）
+  // options.notify: false で Webhook 通知を行わない
+  // 戻り値: 'created' | 'merged'
+  async storeNewArticle(article, options = {}) {
+    const { since, plan = null, notify = true } = options;
+    
+    // 統合済みの記事が修正されて再び届いた場合は、新たに統合せず同じ統合を更新する
+    const activeMerge = await this.findActiveMerge(article);
+    if (activeMerge) {
+      const target = await this.storage.get(NEWS_COLLECTION, activeMerge.targetId);
+      // 統合先がアーカイブ済みなら反映しない（別の記事としても保存しない）
+      if (target && target.archive) return 'merged';
+      if (target) {
+        await this.updateMerge(activeMerge, target, article, plan);
+        return 'merged';
+      }
+    }
+    
+    // 高度な重複検出（LSHで絞り込んだ候補のみ詳細比較）
+    const candidates = await this.dedupeIndex.findCandidates(article, { since });
+    const duplicates = await this.duplicateDetector.findDuplicates(article, candidates);
+    
+    if (duplicates.length > 0) {
+      // 重複記事発見 - 既存記事を更新
+      const bestMatch = duplicates[0];
+      const existingArticle = candidates.find(a => a.id === bestMatch.existingId);
+      const mergedArticle = this.mergeIntoArticle(existingArticle, article);
+      
+      if (plan) {
+        plan.merges.push({
+          targetId: bestMatch.existingId,
+          targetTitle: existingArticle.title,
+          incoming: { id: article.id, title: article.title, link: article.link, source: article.source },
+          similarity: bestMatch.similarity,
+          changes: this.diffArticle(existingArticle, { ...existingArticle, ...mergedArticle })
+        });
+      }
+      // 取り消せるように監査ログを先に記録し、記事を更新できなければ記録も削除する
+      const auditId = await this.mergeAudit.record(bestMatch.existingId, existingArticle, article, bestMatch);
+      try {
+        await this.storage.update(NEWS_COLLECTION, bestMatch.existingId, mergedArticle);
+      } catch (error) {
+        await this.mergeAudit.remove(auditId);
+        throw error;
+      }
+      await this.searchIndex.indexArticle({ ...mergedArticle, id: bestMatch.existingId });
+      await this.dedupeIndex.indexArticle({ ...mergedArticle, id: bestMatch.existingId });
+      if (notify && !this.dryRun && !this.replaying) {
+        this.webhookNotifier.notify('article.merged', { ...mergedArticle, id: bestMatch.existingId }, {
+          incoming: article,
+          similarity: bestMatch.similarity
+        });
+      }
+      console.log(`🔗 重複統合: ${article.title.substring(0, 50)}...`);
+      console.log(`   → 既存記事 ${bestMatch.existingId} と統合`);
+      return 'merged';
+    }
+    
+    // 新規記事の保存
+    if (plan) {
+      plan.inserts.push({
+        id: article.id,
+        title: article.title,
+        link: article.link,
+        source: article.source,
+        category: article.category,
+        publishedAt: article.publishedAt,
+        tags: article.tags,
+        tagScores: article.tagScores,
+        entities: article.entities
+      });
+    }
+    await this.storage.set(NEWS_COLLECTION, article.id, article);
+    await this.searchIndex.indexArticle(article);
+    await this.dedupeIndex.indexArticle(article);
+    if (notify && !this.dryRun && !this.replaying) {
+      this.webhookNotifier.notify('article.created', article);
+    }
+    console.log(`✨ 新規: ${article.title.substring(0, 50)}...`);
+    return 'created';
+  }
+
+  // 既存記事への統合
+  mergeIntoArticle(existingArticle, article) {
+    const mergedArticle = this.duplicateDetector.mergeArticles(existingArticle, article);
+    // 既存記事に本文がなければ取得した本文を引き継ぐ（並列取得ではどちらが先に保存されるか決まらない）
+    if (!existingArticle.fullText && article.fullText) {
+      ENRICHMENT_FIELDS.forEach(field => {
+        if (article[field] !== undefined) mergedArticle[field] = article[field];
+      });
+    }
+    return mergedArticle;
+  }
+
+  // 統合で加わった分だけを記事から除く（統合後の変更は残す、戻り値はIDを含まない）
+  removeMergedContent(currentArticle, audit) {
+    const incoming = audit.incomingArticle;
+    const { id, ...article } = this.duplicateDetector.unmergeArticles(currentArticle, audit.originalArticle, incoming);
+    if (!audit.originalArticle.fullText && article.fullText && article.fullText === incoming.fullText) {
+      ENRICHMENT_FIELDS.forEach(field => delete article[field]);
+    }
+    return article;
+  }
+
+  // 記事の有効な統合（記事ID、タイトル修正でIDが変わった記事は同じフィードの同じリンクで照合）
+  async findActiveMerge(article) {
+    const merge = await this.mergeAudit.findActiveByIncomingId(article.id);
+    if (merge || !article.link) return merge;
+    return this.mergeAudit.findActiveByIncomingLink(article.link, article.source);
+  }
+
+  // 統合済みの記事の修正を統合先に反映（前回統合した内容を除いてから修正後の記事を統合し直す）
+  async updateMerge(audit, targetArticle, article, plan) {
+    const mergedArticle = this.mergeIntoArticle(this.removeMergedContent(targetArticle, audit), article);
+    const changes = this.diffArticle(targetArticle, { ...targetArticle, ...mergedArticle });
+    if (plan) {
+      plan.updates.push({
+        id: audit.targetId,
+        title: mergedArticle.title,
+        changes
+      });
     }
+    // 取り消しで修正後の記事を復元できるように監査ログを先に更新し、記事を更新できなければ元に戻す
+    await this.mergeAudit.updateIncoming(audit.id, article);
+    try {
+      await this.storage.set(NEWS_COLLECTION, audit.targetId, mergedArticle);
+    } catch (error) {
+      await this.mergeAudit.updateIncoming(audit.id, audit.incomingArticle);
+      throw error;
+    }
+    await this.searchIndex.indexArticle({ ...mergedArticle, id: audit.targetId });
+    await this.dedupeIndex.indexArticle({ ...mergedArticle, id: audit.targetId });
+    console.log(`🔗 統合済みの記事の修正を反映: ${article.title.substring(0, 50)}...`);
+    console.log(`   → 既存記事 ${audit.targetId}`);
+  }
+
+  // フィード解析時の警告
+  getParseWarnings(feed, feedInfo) {
+    const warnings = [];
+    const dateResolver = this.getDateResolver(feedInfo);
+    if (feed.items.length === 0) {
+      warnings.push('記事が0件です');
+    }
+    feed.items.forEach((item, index) => {
+      const label = item.title ? `「${item.title.substring(0, 30)}」` : `${index + 1}件目`;
+      if (!item.title) warnings.push(`${label}: タイトルがありません`);
+      if (!item.link) warnings.push(`${label}: リンクがありません`);
+      dateResolver.resolve(item).warnings.forEach(warning => warnings.push(`${label}: ${warning}`));
+    });
+    return warnings;
   }
 
   // 最近の記事を取得（重複検出用）
@@ -182,18 +723,11 @@ class ToyotaNewsCollector {
       const cutoffDate = new Date();
       cutoffDate.setDate(cutoffDate.getDate() - days);
       
-      const snapshot = await this.newsCollection
-        .where('publishedAt', '>=', cutoffDate)
-        .orderBy('publishedAt', 'desc')
-        .limit(100)
-        .get();
-      
-      const articles = [];
-      snapshot.forEach(doc => {
-        articles.push({ id: doc.id, ...doc.data() });
+      return await this.storage.query(NEWS_COLLECTION, {
+        where: [['publishedAt', '>=', cutoffDate]],
+        orderBy: ['publishedAt', 'desc'],
+        limit: 100
       });
-      
-      return articles;
     } catch (error) {
       console.error('最近記事取得エラー:', error.message);
       return [];
@@ -201,28 +735,74 @@ class ToyotaNewsCollector {
   }
 
   // 全フィードの収集実行
-  async collectAllFeeds() {
+  // options.force: fetchIntervalMinutes を無視して全フィードを取得
+  // options.feedIds: 指定したIDのフィードのみ収集
+  async collectAllFeeds(options = {}) {
     const startTime = new Date();
     console.log('🚀 Toyota News RSS 収集開始');
+    if (this.dryRun) {
+      console.log('🧪 ドライラン: ストレージへの書き込み・通知・フィード出力は行いません');
+    }
+    if (this.replaying) {
+      console.log('⏪ 再生: フィード状態・稼働状況・実行ログ・配信フィードは更新しません');
+    }
     console.log(`⏰ 開始時刻: ${startTime.toLocaleString()}`);
     
-    const feeds = this.getRSSFeeds();
-    const results = [];
+    // 重複候補インデックスは実行ごとに1度だけ読み込む
+    await this.dedupeIndex.load(true);
+    
+    const feeds = options.feedIds
+      ? this.getRSSFeeds().filter(feed => options.feedIds.includes(feed.id))
+      : this.getRSSFeeds();
     
-    // 各フィードを順次処理
-    for (const feedInfo of feeds) {
-      const result = await this.processFeed(feedInfo);
-      results.push(result);
+    // 各フィードを並列処理（同時実行数・ホスト毎の間隔はスケジューラーが制御）
+    const results = await this.fetchScheduler.runAll(feeds, async feedInfo => {
+      // 再生時は既読・取得間隔を無視して記録した全アイテムを処理
+      const feedState = this.replaying ? {} : await this.getFeedState(feedInfo);
+      if (!options.force && this.isWithinFetchInterval(feedInfo, feedState, startTime)) {
+        console.log(`⏭️  ${feedInfo.name}: 取得間隔 (${feedInfo.fetchIntervalMinutes}分) 内のためスキップ`);
+        return {
+          feed: feedInfo.name,
+          intervalSkipped: true,
+          total: 0,
+          new: 0,
+          updated: 0,
+          duplicates: 0,
+          skipped: 0,
+          attempts: []
+        };
+      }
       
-      // フィード間の間隔（サーバー負荷軽減）
-      await new Promise(resolve => setTimeout(resolve, 1000));
-    }
+      return this.processFeed(feedInfo, feedState);
+    });
     
-    // 実行結果の集計
+    // 実行結果の集計（Webhook の配信完了を待ってから）
+    const webhooks = await this.webhookNotifier.flush();
     const summary = this.generateSummary(results, startTime);
+    summary.webhooks = webhooks;
     
-    // 実行ログをFirestoreに保存
-    await this.saveExecutionLog(summary);
+    // フィード毎の稼働状況を更新してアラートを判定（再生時の応答時間・新着は実際の稼働状況ではない）
+    if (!this.replaying) {
+      try {
+        summary.health = await this.feedHealth.recordRun(feeds, results, startTime);
+      } catch (error) {
+        console.error('❌ 稼働状況の記録エラー:', error.message);
+      }
+    }
+    
+    if (this.dryRun) {
+      const { plan, ...rest } = summary;
+      console.log('\n📊 収集結果サマリー（ドライラン）:');
+      console.log(rest);
+      this.printPlan(plan);
+      return summary;
+    }
+    
+    // 実行ログの保存・配信フィードの出力（PUBLISH_DIR 設定時のみ）は実際の収集時のみ
+    if (!this.replaying) {
+      await this.saveExecutionLog(summary);
+      await this.publishFeeds();
+    }
     
     console.log('\n📊 収集結果サマリー:');
     console.log(summary);
@@ -230,6 +810,18 @@ class ToyotaNewsCollector {
     return summary;
   }
 
+  // 配信フィードの書き出し（失敗しても収集結果には影響させない）
+  async publishFeeds() {
+    if (!this.publisher.outputDir) return;
+    
+    try {
+      const files = await this.publisher.writeStaticFeeds();
+      console.log(`📰 配信フィード出力: ${files.length}ファイル (${this.publisher.outputDir})`);
+    } catch (error) {
+      console.error('❌ 配信フィード出力エラー:', error.message);
+    }
+  }
+
   // 実行結果のサマリー生成
   generateSummary(results, startTime) {
     const endTime = new Date();
@@ -239,11 +831,25 @@ class ToyotaNewsCollector {
     let totalUpdated = 0;
     let totalDuplicates = 0;
     let totalErrors = 0;
+    let totalSkipped = 0;
+    let totalNotModified = 0;
+    const failedAttempts = [];
+    const plan = this.dryRun ? { inserts: [], updates: [], merges: [] } : null;
     
     results.forEach(result => {
+      if (plan && result.plan) {
+        Object.keys(plan).forEach(kind => {
+          result.plan[kind].forEach(entry => plan[kind].push({ feed: result.feed, ...entry }));
+        });
+      }
+      (result.attempts || []).forEach(attempt => {
+        failedAttempts.push({ feed: result.feed, ...attempt });
+      });
       totalNew += result.new || 0;
       totalUpdated += result.updated || 0;
       totalDuplicates += result.duplicates || 0;
+      totalSkipped += result.skipped || 0;
+      if (result.notModified) totalNotModified++;
       if (result.error) totalErrors++;
     });
     
@@ -255,37 +861,64 @@ class ToyotaNewsCollector {
       newArticles: totalNew,
       updatedArticles: totalUpdated,
       duplicatesFound: totalDuplicates,
+      unchangedArticles: totalSkipped,
+      feedsNotModified: totalNotModified,
       errors: totalErrors,
-      details: results
+      failedAttempts,
+      details: results.map(({ plan, ...result }) => result),
+      ...(plan ? { dryRun: true, plan } : {})
     };
   }
 
+  // 記事のフィールド単位の差分（{ フィールド: { from, to } }）
+  diffArticle(before, after) {
+    const normalize = value => JSON.stringify(value instanceof Date ? value.toISOString() : value);
+    const changes = {};
+    Object.keys(after).forEach(field => {
+      if (field === 'id') return;
+      if (normalize(before[field]) !== normalize(after[field])) {
+        changes[field] = { from: before[field] === undefined ? null : before[field], to: after[field] };
+      }
+    });
+    return changes;
+  }
+
+  // ドライランの実行計画の表示
+  printPlan(plan) {
+    console.log(`\n🧪 実行計画: 新規 ${plan.inserts.length} / 更新 ${plan.updates.length} / 重複統合 ${plan.merges.length}`);
+    plan.inserts.forEach(insert => {
+      console.log(`✨ 新規: ${insert.title.substring(0, 60)} (${insert.source})`);
+      console.log(`   🏷️  ${insert.tags.length > 0 ? insert.tags.map(tag => `${tag}:${insert.tagScores[tag]}`).join(', ') : 'タグなし'}`);
+    });
+    plan.updates.forEach(update => {
+      console.log(`🔄 更新: ${update.title.substring(0, 60)} [${update.id}]`);
+      console.log(`   変更: ${Object.keys(update.changes).join(', ')}`);
+    });
+    plan.merges.forEach(merge => {
+      const { titleSimilarity, jaccardSimilarity, cosineSimilarity, reasons } = merge.similarity;
+      const percent = value => `${Math.round(value * 100)}%`;
+      console.log(`🔗 統合: ${merge.incoming.title.substring(0, 60)} (${merge.incoming.source})`);
+      console.log(`   → ${merge.targetId} ${merge.targetTitle.substring(0, 60)}`);
+      console.log(`   理由: ${reasons.join(', ')} / タイトル ${percent(titleSimilarity)} / Jaccard ${percent(jaccardSimilarity)} / コサイン ${percent(cosineSimilarity)}`);
+      console.log(`   変更: ${Object.keys(merge.changes).join(', ')}`);
+    });
+  }
+
   // 実行ログの保存
   async saveExecutionLog(summary) {
     try {
-      const logCollection = this.db.collection('execution_logs');
-      await logCollection.add(summary);
+      await this.storage.add(LOG_COLLECTION, summary);
       console.log('📝 実行ログを保存しました');
     } catch (error) {
       console.error('❌ ログ保存エラー:', error.message);
     }
   }
 
-  // 記事の検索
-  async searchArticles(query, limit = 10) {
+  // 記事の検索（全文検索・スコア順）
+  // filters: { tags, from, to }
+  async searchArticles(query, limit = 10, filters = {}) {
     try {
-      const snapshot = await this.newsCollection
-        .where('title', '>=', query)
-        .where('title', '<=', query + '\uf8ff')
-        .limit(limit)
-        .get();
-      
-      const articles = [];
-      snapshot.forEach(doc => {
-        articles.push({ id: doc.id, ...doc.data() });
-      });
-      
-      return articles;
+      return await this.searchIndex.search(query, { ...filters, limit });
     } catch (error) {
       console.error('検索エラー:', error.message);
       return [];
@@ -295,32 +928,119 @@ class ToyotaNewsCollector {
   // 最新記事の取得
   async getLatestArticles(limit = 10) {
     try {
-      const snapshot = await this.newsCollection
-        .orderBy('publishedAt', 'desc')
-        .limit(limit)
-        .get();
-      
-      const articles = [];
-      snapshot.forEach(doc => {
-        articles.push({ id: doc.id, ...doc.data() });
+      return await this.storage.query(NEWS_COLLECTION, {
+        orderBy: ['publishedAt', 'desc'],
+        limit
       });
-      
-      return articles;
     } catch (error) {
       console.error('最新記事取得エラー:', error.message);
       return [];
     }
   }
 
+  // 記事の取得（ID指定）
+  async getArticle(id) {
+    return this.storage.get(NEWS_COLLECTION, id);
+  }
+
+  // 記事一覧の取得（フィルター・ページング）
+  // filters: { source, category, tag, from, to, limit, offset }
+  async queryArticles(filters = {}) {
+    const where = [];
+    if (filters.source) where.push(['source', '==', filters.source]);
+    if (filters.category) where.push(['category', '==', filters.category]);
+    if (filters.tag) where.push(['tags', 'array-contains', filters.tag]);
+    if (filters.from) where.push(['publishedAt', '>=', filters.from]);
+    if (filters.to) where.push(['publishedAt', '<=', filters.to]);
+    
+    return this.storage.query(NEWS_COLLECTION, {
+      where,
+      orderBy: ['publishedAt', 'desc'],
+      limit: filters.limit || 20,
+      offset: filters.offset || 0
+    });
+  }
+
+  // 重複統合の取り消し（統合前の記事と統合された記事を別々に復元）
+  async unmergeArticle(auditId) {
+    // 収集中の統合と同じ記事を同時に書き換えないよう、保存処理のロックを取得する
+    const releaseStoreLock = await this.acquireStoreLock();
+    try {
+      const audit = await this.mergeAudit.get(auditId);
+      if (!audit) {
+        throw unmergeError(404, `統合記録が見つかりません: ${auditId}`);
+      }
+      if (audit.status !== 'merged') {
+        throw unmergeError(409, `既に取り消し済みです: ${auditId}`);
+      }
+    
+      // 後から別の統合が行われている場合は、新しいものから順に取り消す
+      const latest = await this.mergeAudit.getLatestActiveMerge(audit.targetId);
+      if (latest && latest.id !== audit.id) {
+        throw unmergeError(409, `記事 ${audit.targetId} には後の統合 ${latest.id} があります。先に取り消してください`);
+      }
+    
+      const incoming = audit.incomingArticle;
+      if (await this.storage.get(NEWS_COLLECTION, incoming.id)) {
+        throw unmergeError(409, `統合された記事 ${incoming.id} は既に別の記事として存在します`);
+      }
+      const current = await this.storage.get(NEWS_COLLECTION, audit.targetId);
+      if (!current) {
+        throw unmergeError(409, `統合先の記事 ${audit.targetId} は削除されています`);
+      }
+    
+      // 統合先は統合後の変更（配信元の修正・タグの再付与・アーカイブなど）を残し、統合で加わった分だけを除く
+      const target = this.removeMergedContent(current, audit);
+      await this.storage.set(NEWS_COLLECTION, audit.targetId, target);
+      await this.storage.set(NEWS_COLLECTION, incoming.id, incoming);
+      await this.mergeAudit.markUnmerged(auditId);
+    
+      // 検索・重複候補インデックスも両方の記事で更新
+      for (const article of [{ ...target, id: audit.targetId }, incoming]) {
+        await this.searchIndex.indexArticle(article);
+        await this.dedupeIndex.indexArticle(article);
+      }
+    
+      console.log(`↩️  統合を取り消しました: ${audit.targetId} / ${incoming.id}`);
+      return { targetId: audit.targetId, restoredId: incoming.id };
+    } finally {
+      releaseStoreLock();
+    }
+  }
+
+  // 重複統合された記事の取得（最後に統合された順）
+  async getMergedArticles(options = {}) {
+    return this.storage.query(NEWS_COLLECTION, {
+      orderBy: ['lastDuplicateFound', 'desc'],
+      limit: options.limit || 20,
+      offset: options.offset || 0
+    });
+  }
+
+  // 記事の改訂履歴の取得（古い順）
+  async getArticleRevisions(id, options = {}) {
+    return this.revisions.list(id, options);
+  }
+
+  // 実行ログの取得（新しい順）
+  async getExecutionLogs(options = {}) {
+    return this.storage.query(LOG_COLLECTION, {
+      orderBy: ['executedAt', 'desc'],
+      limit: options.limit || 20,
+      offset: options.offset || 0
+    });
+  }
+
   // クリーンアップメソッド
   async cleanup() {
     try {
       console.log('🧹 リソースのクリーンアップ中...');
       
-      // Firestore接続のクリーンアップ
-      if (this.db) {
+      // ストレージ接続のクリーンアップ
+      if (this.storage) {
         // 既存の処理完了を待つ
         await new Promise(resolve => setTimeout(resolve, 1000));
+        await this.storage.close();
       }
       
       console.log('✅ クリーンアップ完了');
@@ -330,43 +1050,43 @@ class ToyotaNewsCollector {
   }
 }
 
-// 実行部分
+// 実行部分（終了コードは cli.js の collect と同じ）
 async function main() {
   let collector;
+  let exitCode = EXIT_CODES.OK;
   try {
-    collector = new ToyotaNewsCollector();
+    // --dry-run: 書き込みを行わず実行計画のみ表示
+    collector = new ToyotaNewsCollector({ dryRun: process.argv.includes('--dry-run') });
     
-    // RSS収集実行
-    const summary = await collector.collectAllFeeds();
+    // RSS収集実行（定期実行の入口のため、実行間隔はスケジュール側で決まる。取得間隔は cli collect のみで使う）
+    const summary = await collector.collectAllFeeds({ force: true });
+    exitCode = collectExitCode(summary);
     
     // 最新記事の表示
     console.log('\n📱 最新記事トップ3:');
     const latestArticles = await collector.getLatestArticles(3);
     latestArticles.forEach((article, index) => {
       console.log(`${index + 1}. ${article.title}`);
-      console.log(`   📅 ${article.publishedAt.toDate().toLocaleDateString()}`);
+      console.log(`   📅 ${article.publishedAt.toLocaleDateString()}`);
       console.log(`   🔗 ${article.link}\n`);
     });
     
-    console.log('✅ 処理完了 - プログラムを終了します...');
+    console.log(exitCode === EXIT_CODES.OK
+      ? '✅ 処理完了 - プログラムを終了します...'
+      : `⚠️ 一部またはすべてのフィードでエラーが発生しました (終了コード ${exitCode})`);
     
   } catch (error) {
     console.error('❌ メイン処理エラー:', error.message);
+    exitCode = EXIT_CODES.FAILURE;
   } finally {
-    // Firebase接続を明示的に終了
+    // ストレージ接続を明示的に終了
     try {
       if (collector) {
         await collector.cleanup();
       }
       
-      // Firebase Admin アプリを全て削除
-      const apps = admin.apps;
-      await Promise.all(apps.map(app => app.delete()));
-      
-      console.log('🔌 Firebase接続を終了しました');
-      
       // プロセス終了
-      process.exit(0);
+      process.exit(exitCode);
       
     } catch (cleanupError) {
       console.error('❌ クリーンアップエラー:', cleanupError.message);
@@ -0,0 +1,223 @@
+// scheduler.js
+// 常駐スケジューラー（cron式による定期収集）
+
+require('dotenv').config();
+const cron = require('node-cron');
+const ToyotaNewsCollector = require('./rss-collector');
+const DigestBuilder = require('./digest-builder');
+const RetentionManager = require('./retention-manager');
+
+const DEFAULT_SCHEDULE = process.env.SCHEDULE_CRON || '0 */4 * * *';
+const DEFAULT_TIMEZONE = process.env.SCHEDULE_TIMEZONE || 'Asia/Tokyo';
+
+// ダイジェストのスケジュール（未設定の期間は生成しない）
+const DIGEST_SCHEDULES = {
+  daily: process.env.DIGEST_DAILY_CRON || null,
+  weekly: process.env.DIGEST_WEEKLY_CRON || null
+};
+
+// 保持ルールの適用スケジュール（未設定なら実行しない）
+const RETENTION_SCHEDULE = process.env.RETENTION_CRON || null;
+
+class CollectionScheduler {
+  constructor(options = {}) {
+    this.collector = options.collector || new ToyotaNewsCollector(options.collectorOptions);
+    this.defaultSchedule = options.defaultSchedule || DEFAULT_SCHEDULE;
+    this.timezone = options.timezone || DEFAULT_TIMEZONE;
+    this.digestSchedules = options.digestSchedules || DIGEST_SCHEDULES;
+    this.digestBuilder = options.digestBuilder || new DigestBuilder(this.collector, { timezone: this.timezone });
+    this.retentionSchedule = options.retentionSchedule !== undefined ? options.retentionSchedule : RETENTION_SCHEDULE;
+    this.retentionManager = options.retentionManager || null;
+    this.tasks = [];
+    this.currentRun = null;
+    this.currentDigest = null;
+    this.currentRetention = null;
+    this.pendingFeedIds = new Set();
+    this.stopping = false;
+  }
+
+  // 1. フィードをcron式ごとにまとめる（feeds.json の schedule、未指定はデフォルト）
+  groupFeedsBySchedule() {
+    const groups = new Map();
+    this.collector.getRSSFeeds().forEach(feed => {
+      const expression = feed.schedule || this.defaultSchedule;
+      if (!groups.has(expression)) groups.set(expression, []);
+      groups.get(expression).push(feed.id);
+    });
+    return groups;
+  }
+
+  // 2. スケジュール登録
+  start() {
+    if (!cron.validate(this.defaultSchedule)) {
+      throw new Error(`SCHEDULE_CRON のcron式が不正です: ${this.defaultSchedule}`);
+    }
+
+    const groups = this.groupFeedsBySchedule();
+    groups.forEach((feedIds, expression) => {
+      const task = cron.schedule(expression, () => this.trigger(feedIds), {
+        timezone: this.timezone
+      });
+      this.tasks.push(task);
+      console.log(`⏰ ${expression} (${this.timezone}): ${feedIds.join(', ')}`);
+    });
+
+    Object.entries(this.digestSchedules).forEach(([period, expression]) => {
+      if (!expression) return;
+      if (!cron.validate(expression)) {
+        throw new Error(`ダイジェスト（${period}）のcron式が不正です: ${expression}`);
+      }
+      const task = cron.schedule(expression, () => this.triggerDigest(period), {
+        timezone: this.timezone
+      });
+      this.tasks.push(task);
+      console.log(`⏰ ${expression} (${this.timezone}): ${period} ダイジェスト`);
+    });
+
+    if (this.retentionSchedule) {
+      if (!cron.validate(this.retentionSchedule)) {
+        throw new Error(`RETENTION_CRON のcron式が不正です: ${this.retentionSchedule}`);
+      }
+      // 設定の誤りは起動時に検出する
+      if (!this.retentionManager) this.retentionManager = new RetentionManager(this.collector);
+      this.retentionManager.load();
+      const task = cron.schedule(this.retentionSchedule, () => this.triggerRetention(), {
+        timezone: this.timezone
+      });
+      this.tasks.push(task);
+      console.log(`⏰ ${this.retentionSchedule} (${this.timezone}): 保持ルールの適用`);
+    }
+
+    console.log(`🕰️  スケジューラー起動 - ${this.tasks.length} 件のスケジュールを登録しました`);
+  }
+
+  // 3. 収集の起動（実行中なら終了後にまとめて実行し、重複実行しない。保持ルールの適用中は終わってから）
+  trigger(feedIds) {
+    if (this.stopping) return this.currentRun;
+
+    feedIds.forEach(id => this.pendingFeedIds.add(id));
+    if (this.currentRun) {
+      console.log(`⏳ 前回の収集が実行中のため待機: ${feedIds.join(', ')}`);
+      return this.currentRun;
+    }
+    if (this.currentRetention) {
+      console.log(`⏳ 保持ルールの適用中のため待機: ${feedIds.join(', ')}`);
+    }
+
+    this.currentRun = Promise.resolve(this.currentRetention).then(() => this.runPending()).finally(() => {
+      this.currentRun = null;
+    });
+    return this.currentRun;
+  }
+
+  // 4. 待機中のフィードを順に収集
+  async runPending() {
+    while (this.pendingFeedIds.size > 0 && !this.stopping) {
+      const feedIds = [...this.pendingFeedIds];
+      this.pendingFeedIds.clear();
+
+      try {
+        // 取得タイミングはcron式で決まるため取得間隔のチェックは行わない
+        await this.collector.collectAllFeeds({ feedIds, force: true });
+      } catch (error) {
+        console.error('❌ スケジュール実行エラー:', error.message);
+      }
+    }
+  }
+
+  // 5. ダイジェストの生成（実行中の収集が終わってから、期間ごとに順番に）
+  triggerDigest(period) {
+    if (this.stopping) return this.currentDigest;
+
+    const previous = this.currentDigest || Promise.resolve();
+    const run = previous
+      .then(() => this.currentRun)
+      .then(() => this.digestBuilder.run(period))
+      .catch(error => {
+        console.error(`❌ ダイジェスト生成エラー (${period}):`, error.message);
+      })
+      .finally(() => {
+        if (this.currentDigest === run) this.currentDigest = null;
+      });
+    this.currentDigest = run;
+    return run;
+  }
+
+  // 6. 保持ルールの適用（実行中の収集が終わってから。前回分が実行中なら重ねて実行しない）
+  triggerRetention() {
+    if (this.stopping || this.currentRetention) return this.currentRetention;
+
+    this.currentRetention = Promise.resolve(this.currentRun)
+      .then(() => this.retentionManager.run())
+      .catch(error => {
+        console.error('❌ 保持ルールの適用エラー:', error.message);
+      })
+      .finally(() => {
+        this.currentRetention = null;
+      });
+    return this.currentRetention;
+  }
+
+  // 7. 停止（実行中の収集・ダイジェスト・保持ルールの適用を待ってから接続を閉じる）
+  async stop() {
+    if (this.stopping) return;
+    this.stopping = true;
+
+    console.log('🛑 スケジューラーを停止中...');
+    this.tasks.forEach(task => task.stop());
+    this.tasks = [];
+
+    if (this.currentRun) {
+      console.log('⏳ 実行中の収集の完了を待っています...');
+      await this.currentRun;
+    }
+    if (this.currentDigest) {
+      console.log('⏳ 実行中のダイジェスト生成の完了を待っています...');
+      await this.currentDigest;
+    }
+    if (this.currentRetention) {
+      // 残りは次回の実行で続きから処理される
+      console.log('⏳ 実行中の保持ルールの適用を中断しています...');
+      this.retentionManager.stop();
+      await this.currentRetention;
+    }
+
+    await this.collector.cleanup();
+    console.log('👋 スケジューラーを停止しました');
+  }
+}
+
+// 実行部分
+async function main() {
+  const scheduler = new CollectionScheduler();
+
+  const shutdown = async signal => {
+    console.log(`\n📴 ${signal} を受信しました`);
+    try {
+      await scheduler.stop();
+    } catch (error) {
+      console.error('❌ 停止処理エラー:', error.message);
+      process.exitCode = 1;
+    }
+    // 残ったハンドルで終了できない場合の保険
+    setTimeout(() => process.exit(process.exitCode || 0), 10000).unref();
+  };
+  process.once('SIGTERM', () => shutdown('SIGTERM'));
+  process.once('SIGINT', () => shutdown('SIGINT'));
+
+  scheduler.start();
+
+  if (process.env.RUN_ON_START === 'true') {
+    scheduler.trigger(scheduler.collector.getRSSFeeds().map(feed => feed.id));
+  }
+}
+
+// スクリプト直接実行時
+if (require.main === module) {
+  main().catch(error => {
+    console.error('❌ スケジューラー起動エラー:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = CollectionScheduler;
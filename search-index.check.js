@@ -0,0 +1,53 @@
+// search-index.check.js
+// 検索クエリの解析のチェック（フレーズ・OR・NOT / - による除外）
+
+const assert = require('assert');
+const SearchIndex = require('./search-index');
+const AdvancedDuplicateDetector = require('./advanced-duplicate-detection');
+
+console.log('=== search-index チェック ===\n');
+
+const index = new SearchIndex(null, new AdvancedDuplicateDetector());
+const term = (terms, negate = false) => ({ terms, phrase: null, negate });
+const phrase = (terms, text, negate = false) => ({ terms, phrase: text, negate });
+
+// 1. AND・フレーズ
+assert.deepStrictEqual(index.parseQuery('hybrid Prius'), [[term(['hybrid']), term(['prius'])]]);
+assert.deepStrictEqual(index.parseQuery('hybrid AND prius'), [[term(['hybrid']), term(['prius'])]]);
+assert.deepStrictEqual(index.parseQuery('"Fuel Cell" sedan'), [[phrase(['fuel', 'cell'], 'fuel cell'), term(['sedan'])]]);
+console.log('✅ 空白・AND で区切った語とフレーズ');
+
+// 2. OR
+assert.deepStrictEqual(index.parseQuery('hybrid OR electric'), [[term(['hybrid'])], [term(['electric'])]]);
+assert.deepStrictEqual(index.parseQuery('OR hybrid OR'), [[term(['hybrid'])]]);
+console.log('✅ OR でグループを分け、前後の OR は無視');
+
+// 3. NOT・-
+assert.deepStrictEqual(index.parseQuery('hybrid -recall'), [[term(['hybrid']), term(['recall'], true)]]);
+assert.deepStrictEqual(index.parseQuery('NOT recall hybrid'), [[term(['recall'], true), term(['hybrid'])]]);
+assert.deepStrictEqual(index.parseQuery('hybrid AND NOT "battery electric"'), [
+  [term(['hybrid']), phrase(['battery', 'electric'], 'battery electric', true)]
+]);
+assert.deepStrictEqual(index.parseQuery('hybrid NOT'), [[term(['hybrid'])]]);
+console.log('✅ NOT と - で除外（末尾の NOT は無視）');
+
+// 除外のみのグループは一致させない
+assert.deepStrictEqual(index.parseQuery('-recall'), []);
+assert.deepStrictEqual(index.parseQuery('hybrid OR -recall'), [[term(['hybrid'])]]);
+assert.deepStrictEqual(index.parseQuery(''), []);
+console.log('✅ 除外だけのグループ・空のクエリは検索しない');
+
+// 4. 解析結果での絞り込み（メモリ上の索引）
+[
+  { id: 'a', title: 'Hybrid Prius update', description: 'fuel economy improved' },
+  { id: 'b', title: 'Prius recall notice', description: 'hybrid battery recall' },
+  { id: 'c', title: 'Mirai fuel cell sedan', description: 'hydrogen' }
+].forEach(article => index.addToMemory(article.id, index.buildEntry({ ...article, publishedAt: new Date('2024-05-01T00:00:00Z') })));
+const match = query => index.parseQuery(query).map(group => index.matchGroup(group).sort());
+assert.deepStrictEqual(match('hybrid prius'), [['a', 'b']]);
+assert.deepStrictEqual(match('prius -recall'), [['a']]);
+assert.deepStrictEqual(match('mirai OR recall'), [['c'], ['b']]);
+assert.deepStrictEqual(match('"fuel cell"'), [['c']]);
+console.log('✅ グループごとの一致と除外');
+
+console.log('\n=== チェック完了 ===');
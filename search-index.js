@@ -0,0 +1,326 @@
+// search-index.js
+// 全文検索インデックス（BM25ランキング・フレーズ/ブール検索・スニペット）
+
+const { COLLECTIONS } = require('./storage');
+
+const INDEX_COLLECTION = COLLECTIONS.SEARCH_INDEX;
+const NEWS_COLLECTION = COLLECTIONS.NEWS;
+
+// BM25 パラメータ
+const K1 = 1.2;
+const B = 0.75;
+// タイトル中の語の重み
+const TITLE_WEIGHT = 2;
+// スニペットの長さ（文字数）
+const SNIPPET_LENGTH = 160;
+
+class SearchIndex {
+  // storage: ストレージバックエンド
+  // detector: AdvancedDuplicateDetector（tokenize / normalizeText を再利用）
+  constructor(storage, detector, options = {}) {
+    this.storage = storage;
+    this.detector = detector;
+    this.refreshIntervalMs = options.refreshIntervalMs !== undefined ? options.refreshIntervalMs : 5 * 60 * 1000;
+    this.documents = new Map(); // articleId → { terms, length, tags, publishedAt }
+    this.postings = new Map();  // term → Map(articleId → tf)
+    this.totalLength = 0;
+    this.loadedAt = null;
+  }
+
+  // 1. 記事から索引エントリを作成
+  buildEntry(article) {
+    const terms = {};
+    const addTokens = (text, weight) => {
+      this.detector.tokenize(text || '').forEach(token => {
+        // Firestore の予約フィールド名（__xxx__）は除外
+        if (/^__.*__$/.test(token)) return;
+        terms[token] = (terms[token] || 0) + weight;
+      });
+    };
+    addTokens(article.title, TITLE_WEIGHT);
+    addTokens(this.stripHtml(article.description), 1);
+    addTokens(this.stripHtml(article.content), 1);
+    addTokens(article.fullText, 1);
+
+    return {
+      terms,
+      length: Object.values(terms).reduce((sum, tf) => sum + tf, 0),
+      tags: article.tags || [],
+      publishedAt: article.publishedAt instanceof Date ? article.publishedAt : new Date(article.publishedAt),
+      indexedAt: new Date()
+    };
+  }
+
+  // 2. メモリ上の転置インデックスに追加
+  addToMemory(id, entry) {
+    this.removeFromMemory(id);
+    this.documents.set(id, entry);
+    this.totalLength += entry.length;
+    Object.entries(entry.terms).forEach(([term, tf]) => {
+      if (!this.postings.has(term)) this.postings.set(term, new Map());
+      this.postings.get(term).set(id, tf);
+    });
+  }
+
+  // 3. メモリ上の転置インデックスから削除
+  removeFromMemory(id) {
+    const existing = this.documents.get(id);
+    if (!existing) return;
+    this.totalLength -= existing.length;
+    Object.keys(existing.terms).forEach(term => {
+      const posting = this.postings.get(term);
+      if (!posting) return;
+      posting.delete(id);
+      if (posting.size === 0) this.postings.delete(term);
+    });
+    this.documents.delete(id);
+  }
+
+  // 4. 記事の索引登録（取り込み時に呼ぶ）
+  async indexArticle(article) {
+    const entry = this.buildEntry(article);
+    await this.storage.set(INDEX_COLLECTION, article.id, entry);
+    this.addToMemory(article.id, entry);
+  }
+
+  // 5. 記事の索引削除
+  async removeArticle(id) {
+    await this.storage.delete(INDEX_COLLECTION, id);
+    this.removeFromMemory(id);
+  }
+
+  // 6. 保存済みの索引を読み込み（一定時間ごとに再読込）
+  async load(force = false) {
+    const isFresh = this.loadedAt && (Date.now() - this.loadedAt < this.refreshIntervalMs);
+    if (!force && isFresh) return;
+
+    const entries = await this.storage.query(INDEX_COLLECTION);
+    this.documents.clear();
+    this.postings.clear();
+    this.totalLength = 0;
+    entries.forEach(({ id, ...entry }) => this.addToMemory(id, entry));
+    this.loadedAt = Date.now();
+  }
+
+  // 7. 全記事から索引を再構築
+  async rebuild() {
+    const articles = await this.storage.query(NEWS_COLLECTION);
+    for (const article of articles) {
+      await this.indexArticle(article);
+    }
+    this.loadedAt = Date.now();
+    return articles.length;
+  }
+
+  // 8. 検索クエリの解析
+  // 例: hybrid "battery electric" -recall / hybrid OR electric / NOT recall
+  // 戻り値: OR で結ばれたグループの配列。各グループは AND で結ばれた条件
+  //   { terms: [...], phrase: '...' | null, negate: bool }
+  parseQuery(query) {
+    const groups = [[]];
+    const pattern = /(-|NOT\s+)?"([^"]+)"|(-|NOT\s+)?(\S+)/g;
+    let match;
+    let pendingNot = false;
+
+    while ((match = pattern.exec(query)) !== null) {
+      const word = match[4];
+      if (word === 'OR') {
+        if (groups[groups.length - 1].length > 0) groups.push([]);
+        continue;
+      }
+      if (word === 'AND') continue;
+      if (word === 'NOT') {
+        pendingNot = true;
+        continue;
+      }
+
+      const negate = pendingNot || Boolean(match[1] || match[3]);
+      pendingNot = false;
+      const phrase = match[2] !== undefined ? match[2] : null;
+      const terms = this.detector.tokenize(phrase !== null ? phrase : word);
+      if (terms.length === 0) continue;
+
+      groups[groups.length - 1].push({
+        terms,
+        phrase: phrase !== null ? this.detector.normalizeText(phrase) : null,
+        negate
+      });
+    }
+
+    return groups.filter(group => group.some(clause => !clause.negate));
+  }
+
+  // 9. 語を含む記事IDの集合
+  docsWithTerm(term) {
+    const posting = this.postings.get(term);
+    return posting ? new Set(posting.keys()) : new Set();
+  }
+
+  // 10. グループ（AND条件）に一致する記事ID
+  matchGroup(group) {
+    let candidates = null;
+    group.filter(clause => !clause.negate).forEach(clause => {
+      clause.terms.forEach(term => {
+        const docs = this.docsWithTerm(term);
+        candidates = candidates === null
+          ? docs
+          : new Set([...candidates].filter(id => docs.has(id)));
+      });
+    });
+
+    const excluded = new Set();
+    group.filter(clause => clause.negate && !clause.phrase).forEach(clause => {
+      clause.terms.forEach(term => this.docsWithTerm(term).forEach(id => excluded.add(id)));
+    });
+
+    return [...(candidates || [])].filter(id => !excluded.has(id));
+  }
+
+  // 11. BM25スコア
+  scoreDocument(id, terms) {
+    const entry = this.documents.get(id);
+    const documentCount = this.documents.size;
+    const averageLength = this.totalLength / documentCount || 1;
+
+    return terms.reduce((score, term) => {
+      const posting = this.postings.get(term);
+      const tf = posting ? posting.get(id) || 0 : 0;
+      if (tf === 0) return score;
+      const idf = Math.log(1 + (documentCount - posting.size + 0.5) / (posting.size + 0.5));
+      const norm = tf + K1 * (1 - B + B * entry.length / averageLength);
+      return score + idf * (tf * (K1 + 1)) / norm;
+    }, 0);
+  }
+
+  // 12. 検索実行
+  // options: { limit, tags, from, to }
+  async search(query, options = {}) {
+    await this.load();
+
+    const limit = options.limit || 10;
+    const groups = this.parseQuery(query);
+    if (groups.length === 0) return [];
+
+    // 候補の収集とスコアリング
+    const scores = new Map();
+    groups.forEach(group => {
+      const positiveTerms = group.filter(clause => !clause.negate).flatMap(clause => clause.terms);
+      this.matchGroup(group).forEach(id => {
+        if (!this.matchesFilters(this.documents.get(id), options)) return;
+        const score = this.scoreDocument(id, positiveTerms);
+        scores.set(id, Math.max(scores.get(id) || 0, score));
+      });
+    });
+
+    const ranked = [...scores.entries()].sort((a, b) => b[1] - a[1]);
+    const phraseClauses = groups.flat().filter(clause => clause.phrase);
+    const highlightTerms = [...new Set(groups.flat().filter(clause => !clause.negate).flatMap(clause => clause.terms))];
+
+    // 上位から記事本文を取得（フレーズ条件は本文で確認）
+    const results = [];
+    for (const [id, score] of ranked) {
+      if (results.length >= limit) break;
+
+      const article = await this.storage.get(NEWS_COLLECTION, id);
+      if (!article) continue;
+
+      if (phraseClauses.length > 0 && !this.matchesPhrases(article, groups)) continue;
+
+      results.push({
+        ...article,
+        score: Math.round(score * 1000) / 1000,
+        snippet: this.buildSnippet(article, highlightTerms)
+      });
+    }
+
+    return results;
+  }
+
+  // タグ・日付フィルター
+  matchesFilters(entry, options) {
+    if (!entry) return false;
+    if (options.tags && options.tags.length > 0 &&
+        !options.tags.every(tag => entry.tags.includes(tag))) return false;
+    const publishedAt = new Date(entry.publishedAt);
+    if (options.from && publishedAt < options.from) return false;
+    if (options.to && publishedAt > options.to) return false;
+    return true;
+  }
+
+  // フレーズ条件の確認（いずれかのORグループが満たされればよい）
+  matchesPhrases(article, groups) {
+    const text = this.detector.normalizeText(
+      [article.title, this.stripHtml(article.description), this.stripHtml(article.content), article.fullText || ''].join(' ')
+    );
+    return groups.some(group => group.every(clause => {
+      if (!clause.phrase) return true;
+      const found = text.includes(clause.phrase);
+      return clause.negate ? !found : found;
+    }));
+  }
+
+  // HTMLタグの簡易除去
+  stripHtml(text) {
+    return (text || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+  }
+
+  // HTMLエスケープ
+  escapeHtml(text) {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  // スニペット生成（一致語を <mark> で強調）
+  buildSnippet(article, terms) {
+    const text = (article.fullText || this.stripHtml(article.content) || this.stripHtml(article.description) || article.title || '').normalize('NFKC');
+    const lower = text.toLowerCase();
+
+    let position = -1;
+    terms.forEach(term => {
+      const index = lower.indexOf(term);
+      if (index !== -1 && (position === -1 || index < position)) position = index;
+    });
+
+    // 単語の途中から始まらないように調整
+    let start = Math.max(0, position - SNIPPET_LENGTH / 4);
+    if (start > 0) {
+      const space = text.indexOf(' ', start);
+      if (space !== -1 && space < position) start = space + 1;
+    }
+    const end = Math.min(text.length, start + SNIPPET_LENGTH);
+    let snippet = this.escapeHtml(text.slice(start, end));
+
+    if (terms.length > 0) {
+      const escaped = terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+      snippet = snippet.replace(new RegExp(`(${escaped.join('|')})`, 'gi'), '<mark>$1</mark>');
+    }
+
+    return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+  }
+}
+
+// 索引の再構築（既存記事の取り込み）
+async function rebuildIndex() {
+  const ToyotaNewsCollector = require('./rss-collector');
+  const collector = new ToyotaNewsCollector();
+  try {
+    console.log('🔎 検索インデックスを再構築中...');
+    const count = await collector.searchIndex.rebuild();
+    console.log(`✅ ${count} 件の記事を索引しました`);
+  } finally {
+    await collector.cleanup();
+  }
+}
+
+// スクリプト直接実行時
+if (require.main === module) {
+  rebuildIndex().catch(error => {
+    console.error('❌ 索引再構築エラー:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = SearchIndex;
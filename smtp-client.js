@@ -0,0 +1,220 @@
+// smtp-client.js
+// 最小限のSMTPクライアント（STARTTLS・AUTH PLAIN 対応、テキスト + HTML のメール送信）
+
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+class SmtpClient {
+  // options: { host, port, secure, starttls, user, pass, timeoutMs }
+  // secure: true で接続時からTLS（465番ポート）、starttls: false でSTARTTLSを使わない
+  constructor(options = {}) {
+    this.host = options.host || process.env.SMTP_HOST || 'localhost';
+    this.secure = options.secure !== undefined ? options.secure : process.env.SMTP_SECURE === 'true';
+    this.port = Number(options.port || process.env.SMTP_PORT || (this.secure ? 465 : 587));
+    this.starttls = options.starttls !== undefined ? options.starttls : process.env.SMTP_STARTTLS !== 'false';
+    this.user = options.user || process.env.SMTP_USER || null;
+    this.pass = options.pass || process.env.SMTP_PASS || null;
+    this.timeoutMs = options.timeoutMs || 30000;
+    this.socket = null;
+    this.buffer = '';
+    this.waiting = null;
+  }
+
+  // 1. メール送信
+  // message: { from, to（配列可）, subject, text, html }
+  async send(message) {
+    const recipients = [].concat(message.to).filter(Boolean);
+    if (!message.from || recipients.length === 0) {
+      throw new Error('送信元（from）と宛先（to）を指定してください');
+    }
+
+    await this.connect();
+    try {
+      await this.expect(220);
+      let capabilities = await this.hello();
+
+      if (!this.secure && this.starttls && capabilities.includes('STARTTLS')) {
+        await this.command('STARTTLS', 220);
+        await this.upgrade();
+        capabilities = await this.hello();
+      }
+
+      if (this.user) {
+        if (!capabilities.some(line => line.startsWith('AUTH'))) {
+          throw new Error('SMTPサーバーが認証に対応していません');
+        }
+        const credentials = Buffer.from(`\0${this.user}\0${this.pass || ''}`).toString('base64');
+        await this.command(`AUTH PLAIN ${credentials}`, 235);
+      }
+
+      await this.command(`MAIL FROM:<${this.extractAddress(message.from)}>`, 250);
+      for (const recipient of recipients) {
+        await this.command(`RCPT TO:<${this.extractAddress(recipient)}>`, [250, 251]);
+      }
+      await this.command('DATA', 354);
+      await this.command(`${this.buildMessage(message, recipients)}\r\n.`, 250);
+      await this.command('QUIT', 221).catch(() => {});
+    } finally {
+      this.close();
+    }
+  }
+
+  // 2. 接続（secure 時はTLS）
+  connect() {
+    return new Promise((resolve, reject) => {
+      const onConnect = () => {
+        this.socket.removeListener('error', reject);
+        this.socket.on('error', error => this.fail(error));
+        resolve();
+      };
+      this.socket = this.secure
+        ? tls.connect({ host: this.host, port: this.port, servername: this.host }, onConnect)
+        : net.connect({ host: this.host, port: this.port }, onConnect);
+      this.attach(this.socket);
+      this.socket.once('error', reject);
+    });
+  }
+
+  // STARTTLS 後のTLSへの切り替え
+  upgrade() {
+    return new Promise((resolve, reject) => {
+      const plain = this.socket;
+      plain.removeAllListeners('data');
+      const secured = tls.connect({ socket: plain, servername: this.host }, () => {
+        secured.removeListener('error', reject);
+        secured.on('error', error => this.fail(error));
+        resolve();
+      });
+      secured.once('error', reject);
+      this.socket = secured;
+      this.attach(secured);
+    });
+  }
+
+  attach(socket) {
+    socket.setEncoding('utf8');
+    socket.setTimeout(this.timeoutMs, () => {
+      const error = new Error(`SMTPタイムアウト (${this.timeoutMs}ms): ${this.host}:${this.port}`);
+      error.code = 'ETIMEDOUT';
+      socket.destroy(error);
+      this.fail(error);
+    });
+    socket.on('data', chunk => {
+      this.buffer += chunk;
+      this.flushResponse();
+    });
+    socket.on('close', () => this.fail(new Error('SMTP接続が切断されました')));
+  }
+
+  // 3. 応答の読み取り（複数行応答は "250-" が続き "250 " で終わる）
+  flushResponse() {
+    if (!this.waiting) return;
+    const lines = this.buffer.split('\r\n');
+    const lastIndex = lines.findIndex(line => /^\d{3}(?: |$)/.test(line));
+    if (lastIndex === -1) return;
+
+    const responseLines = lines.slice(0, lastIndex + 1);
+    this.buffer = lines.slice(lastIndex + 1).join('\r\n');
+    const { resolve } = this.waiting;
+    this.waiting = null;
+    resolve({
+      code: Number(responseLines[lastIndex].slice(0, 3)),
+      lines: responseLines.map(line => line.slice(4))
+    });
+  }
+
+  fail(error) {
+    if (!this.waiting) return;
+    const { reject } = this.waiting;
+    this.waiting = null;
+    reject(error);
+  }
+
+  async expect(expected) {
+    const response = await new Promise((resolve, reject) => {
+      this.waiting = { resolve, reject };
+      this.flushResponse();
+    });
+    const codes = [].concat(expected);
+    if (!codes.includes(response.code)) {
+      const error = new Error(`SMTPエラー ${response.code}: ${response.lines.join(' ')}`);
+      error.status = response.code;
+      throw error;
+    }
+    return response;
+  }
+
+  async command(line, expected) {
+    this.socket.write(`${line}\r\n`);
+    return this.expect(expected);
+  }
+
+  // EHLO（対応機能の一覧を返す）
+  async hello() {
+    const response = await this.command(`EHLO ${os.hostname() || 'localhost'}`, 250);
+    return response.lines.slice(1).map(line => line.toUpperCase());
+  }
+
+  close() {
+    if (this.socket) {
+      this.socket.removeAllListeners('close');
+      this.socket.end();
+      this.socket = null;
+    }
+  }
+
+  // "名前 <addr>" 形式からアドレスを取り出す
+  extractAddress(value) {
+    const match = String(value).match(/<([^>]+)>/);
+    return (match ? match[1] : String(value)).trim();
+  }
+
+  // 非ASCIIヘッダーのエンコード（RFC 2047）
+  encodeHeader(value) {
+    return /^[\x20-\x7e]*$/.test(value)
+      ? value
+      : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`;
+  }
+
+  // 76文字ごとに折り返した base64
+  encodeBody(text) {
+    return Buffer.from(text).toString('base64').replace(/.{76}/g, '$&\r\n');
+  }
+
+  // 4. MIMEメッセージの組み立て（multipart/alternative）
+  buildMessage(message, recipients) {
+    const boundary = `----=_toyota_news_${crypto.randomBytes(12).toString('hex')}`;
+    const domain = this.extractAddress(message.from).split('@')[1] || 'localhost';
+    const headers = [
+      `From: ${message.from}`,
+      `To: ${recipients.join(', ')}`,
+      `Subject: ${this.encodeHeader(message.subject || '')}`,
+      `Date: ${new Date().toUTCString().replace('GMT', '+0000')}`,
+      `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+      'MIME-Version: 1.0'
+    ];
+
+    const parts = [];
+    if (message.text !== undefined) parts.push(['text/plain', message.text]);
+    if (message.html !== undefined) parts.push(['text/html', message.html]);
+
+    const body = [
+      `Content-Type: multipart/alternative; boundary="${boundary}"`,
+      '',
+      ...parts.flatMap(([type, content]) => [
+        `--${boundary}`,
+        `Content-Type: ${type}; charset=UTF-8`,
+        'Content-Transfer-Encoding: base64',
+        '',
+        this.encodeBody(content)
+      ]),
+      `--${boundary}--`
+    ];
+
+    return [...headers, ...body].join('\r\n');
+  }
+}
+
+module.exports = SmtpClient;
@@ -0,0 +1,48 @@
+// storage.js
+// ストレージバックエンドの選択
+//
+// すべてのバックエンドは以下のメソッドを実装する:
+//   get(collection, id)          → ドキュメント or null
+//   set(collection, id, data)    → 作成・上書き
+//   update(collection, id, data) → 部分更新
+//   add(collection, data)        → 自動IDで追加し、IDを返す
+//   delete(collection, id)       → 削除
+//   query(collection, options)   → { where, orderBy, limit, offset } で検索
+//   close()                      → 接続終了
+// 読み出した日時フィールドはバックエンドに関わらず Date で返す。
+
+// コレクション名
+const COLLECTIONS = {
+  NEWS: 'toyota_news',
+  LOGS: 'execution_logs',
+  FEED_STATE: 'feed_state',
+  SEARCH_INDEX: 'search_index',
+  DEDUPE_INDEX: 'dedupe_index',
+  MERGE_AUDIT: 'merge_audit',
+  WEBHOOK_DEAD_LETTERS: 'webhook_dead_letters',
+  FEED_HEALTH: 'feed_health',
+  REVISIONS: 'article_revisions',
+  RETENTION_STATE: 'retention_state'
+};
+
+// 設定からストレージを生成
+// config.backend: 'firestore'（デフォルト） | 'local'
+function createStorage(config = {}) {
+  const backend = config.backend || process.env.STORAGE_BACKEND || 'firestore';
+
+  switch (backend) {
+    case 'firestore': {
+      const FirestoreStorage = require('./firestore-storage');
+      return new FirestoreStorage(config);
+    }
+    case 'local':
+    case 'json': {
+      const JsonFileStorage = require('./json-file-storage');
+      return new JsonFileStorage(config);
+    }
+    default:
+      throw new Error(`未対応のストレージバックエンド: ${backend}`);
+  }
+}
+
+module.exports = { createStorage, COLLECTIONS };
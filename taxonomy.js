@@ -0,0 +1,199 @@
+// taxonomy.js
+// ルールベースのタグ付け・エンティティ抽出（taxonomy.json）
+
+const fs = require('fs');
+const path = require('path');
+
+// 本文よりタイトルでの一致を重視
+const FIELD_FACTORS = { title: 1.0, body: 0.75 };
+const ENTITY_TYPES = ['models', 'plants', 'regions', 'partners'];
+
+class Taxonomy {
+  constructor(configPath) {
+    this.configPath = path.resolve(configPath || process.env.TAXONOMY_CONFIG || path.join(__dirname, 'taxonomy.json'));
+    this.minConfidence = 0.5;
+    this.tagRules = [];     // { tag, parents, pattern, weight }
+    this.entityRules = [];  // { type, name, pattern }
+  }
+
+  // 1. 設定ファイルの読み込みと検証
+  load() {
+    if (!fs.existsSync(this.configPath)) {
+      throw new Error(`タクソノミー設定ファイルが見つかりません: ${this.configPath}`);
+    }
+
+    let config;
+    try {
+      config = JSON.parse(fs.readFileSync(this.configPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`タクソノミー設定ファイルのJSON形式エラー: ${error.message}`);
+    }
+
+    const errors = this.validate(config);
+    if (errors.length > 0) {
+      throw new Error(`タクソノミー設定が不正です (${this.configPath}):\n  - ${errors.join('\n  - ')}`);
+    }
+
+    this.minConfidence = config.minConfidence !== undefined ? config.minConfidence : 0.5;
+    this.tagRules = [];
+    this.entityRules = [];
+    this.compileTags(config.tags, []);
+
+    Object.entries(config.entities || {}).forEach(([type, entities]) => {
+      entities.forEach(entity => {
+        this.entityRules.push({ type, name: entity.name, pattern: this.compileTerms(entity.terms) });
+      });
+    });
+
+    return this;
+  }
+
+  // 2. 設定内容の検証
+  validate(config) {
+    const errors = [];
+    if (!config || !Array.isArray(config.tags)) {
+      return ['"tags" 配列が必要です'];
+    }
+    if (config.minConfidence !== undefined &&
+        !(typeof config.minConfidence === 'number' && config.minConfidence >= 0 && config.minConfidence <= 1)) {
+      errors.push('minConfidence は0〜1の数値で指定してください');
+    }
+
+    const ids = new Set();
+    const visit = (nodes, label) => {
+      nodes.forEach((node, index) => {
+        const nodeLabel = `${label}[${index}]`;
+        if (!node || typeof node.id !== 'string' || !/^[a-z0-9][a-z0-9-]*$/.test(node.id)) {
+          errors.push(`${nodeLabel}: id は英小文字・数字・ハイフンで指定してください`);
+          return;
+        }
+        if (ids.has(node.id)) errors.push(`${nodeLabel}: id "${node.id}" が重複しています`);
+        ids.add(node.id);
+
+        (node.rules || []).forEach((rule, ruleIndex) => {
+          if (!Array.isArray(rule.terms) || rule.terms.length === 0 ||
+              !rule.terms.every(term => typeof term === 'string' && term.trim() !== '')) {
+            errors.push(`${nodeLabel}.rules[${ruleIndex}]: terms は空でない文字列の配列で指定してください`);
+          }
+          if (rule.weight !== undefined && !(typeof rule.weight === 'number' && rule.weight > 0 && rule.weight <= 1)) {
+            errors.push(`${nodeLabel}.rules[${ruleIndex}]: weight は0より大きく1以下の数値で指定してください`);
+          }
+        });
+        if (!node.rules && !node.children) {
+          errors.push(`${nodeLabel}: rules または children が必要です`);
+        }
+        if (node.children) visit(node.children, `${nodeLabel}.children`);
+      });
+    };
+    visit(config.tags, 'tags');
+
+    Object.entries(config.entities || {}).forEach(([type, entities]) => {
+      if (!ENTITY_TYPES.includes(type)) {
+        errors.push(`entities.${type}: 未対応のエンティティ種別です（${ENTITY_TYPES.join(', ')}）`);
+        return;
+      }
+      (entities || []).forEach((entity, index) => {
+        if (!entity || typeof entity.name !== 'string' || !Array.isArray(entity.terms) || entity.terms.length === 0) {
+          errors.push(`entities.${type}[${index}]: name と terms が必要です`);
+        }
+      });
+    });
+
+    return errors;
+  }
+
+  // 3. タグ定義を展開（親タグの情報を保持）
+  compileTags(nodes, parents) {
+    nodes.forEach(node => {
+      (node.rules || []).forEach(rule => {
+        this.tagRules.push({
+          tag: node.id,
+          parents,
+          pattern: this.compileTerms(rule.terms),
+          weight: rule.weight !== undefined ? rule.weight : 0.8
+        });
+      });
+      if (node.children) {
+        this.compileTags(node.children, [...parents, node.id]);
+      }
+    });
+  }
+
+  // 4. 語句を正規表現に変換
+  // 英数字は単語境界、カタカナ語は前後にカタカナが続かない位置、漢字などは部分一致
+  // 語句中の空白・ハイフンは表記ゆれを許容（"battery electric" = "battery-electric"）
+  compileTerms(terms) {
+    const sources = terms.map(term => {
+      const normalized = term.normalize('NFKC').toLowerCase().trim();
+      const body = normalized
+        .split(/[\s-]+/)
+        .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+        .join('[\\s-]+');
+
+      if (/^[\p{Script=Katakana}ー]+$/u.test(normalized)) {
+        return `(?<![\\p{Script=Katakana}ー])${body}(?![\\p{Script=Katakana}ー])`;
+      }
+      if (/^[\p{Script=Latin}\p{N}]/u.test(normalized)) {
+        return `(?<![\\p{L}\\p{N}])${body}(?![\\p{L}\\p{N}])`;
+      }
+      return body;
+    });
+    return new RegExp(sources.join('|'), 'gu');
+  }
+
+  // 5. 一致回数
+  countMatches(pattern, text) {
+    pattern.lastIndex = 0;
+    const matches = text.match(pattern);
+    return matches ? matches.length : 0;
+  }
+
+  // 6. 記事の分類
+  // 戻り値: { tags, tagScores, entities }
+  classify(title, description = '', content = '') {
+    const fields = {
+      title: (title || '').normalize('NFKC').toLowerCase(),
+      body: `${description || ''} ${content || ''}`.normalize('NFKC').toLowerCase()
+    };
+
+    // 一致した根拠ごとに (1 - 確信度) を掛け合わせて確信度を算出
+    const misses = new Map();
+    const parentsOf = new Map();
+    this.tagRules.forEach(rule => {
+      Object.entries(fields).forEach(([field, text]) => {
+        const count = this.countMatches(rule.pattern, text);
+        if (count === 0) return;
+        const evidence = rule.weight * FIELD_FACTORS[field];
+        const miss = (misses.has(rule.tag) ? misses.get(rule.tag) : 1) * Math.pow(1 - evidence, count);
+        misses.set(rule.tag, miss);
+        parentsOf.set(rule.tag, rule.parents);
+      });
+    });
+
+    const tagScores = {};
+    misses.forEach((miss, tag) => {
+      const confidence = Math.min(0.99, Math.round((1 - miss) * 100) / 100);
+      if (confidence < this.minConfidence) return;
+      tagScores[tag] = confidence;
+      // 親カテゴリには子の最大確信度を付与
+      parentsOf.get(tag).forEach(parent => {
+        tagScores[parent] = Math.max(tagScores[parent] || 0, confidence);
+      });
+    });
+
+    const tags = Object.keys(tagScores).sort((a, b) => tagScores[b] - tagScores[a]);
+
+    const entities = {};
+    ENTITY_TYPES.forEach(type => { entities[type] = []; });
+    this.entityRules.forEach(rule => {
+      const found = Object.values(fields).some(text => this.countMatches(rule.pattern, text) > 0);
+      if (found && !entities[rule.type].includes(rule.name)) {
+        entities[rule.type].push(rule.name);
+      }
+    });
+
+    return { tags, tagScores, entities };
+  }
+}
+
+module.exports = Taxonomy;
@@ -5,6 +5,7 @@ require('dotenv').config();
 const admin = require('firebase-admin');
 
 async function testFirebaseConnection() {
+  let testRef = null;
   try {
     console.log('🔄 Firebase 接続テスト開始...');
     
@@ -26,7 +27,7 @@ async function testFirebaseConnection() {
     console.log('✅ Firestore インスタンス取得成功');
     
     // 接続テスト（テストドキュメント作成）
-    const testRef = db.collection('connection_test').doc('test_doc');
+    testRef = db.collection('connection_test').doc('test_doc');
     await testRef.set({
       message: 'Firebase 接続成功！',
       timestamp: new Date(),
@@ -43,6 +44,7 @@ async function testFirebaseConnection() {
     
     // テストドキュメント削除
     await testRef.delete();
+    testRef = null;
     console.log('✅ テストドキュメント削除完了');
     
     console.log('\n🎉 Firebase 接続テスト完了！');
@@ -68,6 +70,16 @@ async function testFirebaseConnection() {
     console.error('1. firebase-key.json が正しい場所にあるか確認');
     console.error('2. .env ファイルの FIREBASE_PROJECT_ID が正しいか確認');  
     console.error('3. Firebase プロジェクトでFirestoreが有効になっているか確認');
+  } finally {
+    // 途中で失敗してもテストドキュメントを残さない
+    if (testRef) {
+      try {
+        await testRef.delete();
+        console.log('🧹 テストドキュメントを削除しました');
+      } catch (error) {
+        console.error('⚠️  テストドキュメントを削除できませんでした（npm run retention で削除されます）:', error.message);
+      }
+    }
   }
 }
 
@@ -0,0 +1,122 @@
+// webhook-notifier.check.js
+// Webhook 配信のチェック（署名・リトライ・デッドレター、受信側はローカルサーバー）
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const WebhookNotifier = require('./webhook-notifier');
+const { createStorage, COLLECTIONS } = require('./storage');
+
+const SECRET_ENV = 'WEBHOOK_CHECK_SECRET';
+const SECRET = 'check-secret';
+
+const ARTICLE = {
+  id: 'check-article',
+  title: 'Toyota announces new hybrid model',
+  link: 'https://example.com/news/1',
+  description: 'Toyota Motor Corporation announced a new hybrid model today.',
+  source: 'Check',
+  category: 'official',
+  tags: ['hybrid'],
+  publishedAt: new Date('2024-05-01T00:00:00Z')
+};
+
+console.log('=== webhook-notifier チェック ===\n');
+
+// パスごとの応答ステータス（配列は試行ごと、最後の値を繰り返す）
+const RESPONSES = {
+  '/ok': [200],
+  '/flaky': [503, 503, 200],
+  '/rejected': [400],
+  '/down': [500]
+};
+
+function startServer() {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const count = received.filter(request => request.url === req.url).length;
+      const statuses = RESPONSES[req.url] || [404];
+      received.push({ url: req.url, headers: req.headers, body: Buffer.concat(chunks).toString('utf8') });
+      res.statusCode = statuses[Math.min(count, statuses.length - 1)];
+      res.end();
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, received })));
+}
+
+(async () => {
+  const { server, received } = await startServer();
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhook-check-'));
+  const storage = createStorage({ backend: 'local', path: path.join(dir, 'db.json') });
+  const notifier = new WebhookNotifier(storage, { retries: 2, baseDelayMs: 1, maxDelayMs: 5, timeoutMs: 5000 });
+  process.env[SECRET_ENV] = SECRET;
+
+  const subscription = id => ({ id, url: `${baseUrl}/${id}`, format: 'json', secretEnv: SECRET_ENV });
+  const requestsTo = id => received.filter(request => request.url === `/${id}`);
+
+  // 1. 署名
+  const payload = notifier.buildPayload(subscription('ok'), 'article.created', ARTICLE);
+  let result = await notifier.deliver(subscription('ok'), 'article.created', payload);
+  assert.strictEqual(result.delivered, true);
+
+  const [request] = requestsTo('ok');
+  const timestamp = request.headers['x-webhook-timestamp'];
+  const expected = crypto.createHmac('sha256', SECRET).update(`${timestamp}.${request.body}`).digest('hex');
+  assert.ok(crypto.timingSafeEqual(Buffer.from(request.headers['x-webhook-signature']), Buffer.from(`sha256=${expected}`)));
+  assert.strictEqual(request.headers['x-webhook-event'], 'article.created');
+  assert.strictEqual(JSON.parse(request.body).article.id, ARTICLE.id);
+  console.log('✅ HMAC-SHA256 の署名を受信側で検証できる');
+
+  const tampered = notifier.sign(SECRET, timestamp, request.body.replace('hybrid', 'electric'));
+  assert.notStrictEqual(`sha256=${tampered}`, request.headers['x-webhook-signature']);
+  console.log('✅ 本文を改ざんすると署名が一致しない');
+
+  // 2. リトライ
+  result = await notifier.deliver(subscription('flaky'), 'article.created', { event: 'article.created' });
+  assert.strictEqual(result.delivered, true);
+  assert.deepStrictEqual(result.attempts.map(attempt => attempt.status), [503, 503]);
+  const deliveryIds = new Set(requestsTo('flaky').map(flaky => flaky.headers['x-webhook-delivery']));
+  assert.strictEqual(requestsTo('flaky').length, 3);
+  assert.strictEqual(deliveryIds.size, 1);
+  console.log('✅ 5xx はリトライし、同じ配信IDで再送する');
+
+  result = await notifier.deliver(subscription('rejected'), 'article.created', { event: 'article.created' });
+  assert.strictEqual(result.delivered, false);
+  assert.strictEqual(requestsTo('rejected').length, 1);
+  const [rejected] = await storage.query(COLLECTIONS.WEBHOOK_DEAD_LETTERS, { where: [['subscriptionId', '==', 'rejected']] });
+  assert.strictEqual(rejected.attempts.length, 1);
+  console.log('✅ 4xx はリトライせずデッドレターに記録');
+
+  result = await notifier.deliver(subscription('down'), 'article.created', { event: 'article.created' });
+  assert.strictEqual(result.delivered, false);
+  assert.strictEqual(requestsTo('down').length, 3);
+  const [down] = await storage.query(COLLECTIONS.WEBHOOK_DEAD_LETTERS, { where: [['subscriptionId', '==', 'down']] });
+  assert.deepStrictEqual(down.attempts.map(attempt => attempt.status), [500, 500, 500]);
+  console.log('✅ リトライ回数を超えたらデッドレターに記録');
+
+  // 3. Slack 形式
+  const slack = notifier.buildPayload({ format: 'slack' }, 'article.created', {
+    ...ARTICLE,
+    title: 'A|B <!channel> & more',
+    link: 'https://example.com/a?b=1|2'
+  });
+  assert.strictEqual(slack.blocks[0].text.text, '*新着記事*\n<https://example.com/a?b=1%7C2|AB &lt;!channel&gt; &amp; more>');
+  console.log('✅ Slack の制御文字をエスケープ');
+
+  delete process.env[SECRET_ENV];
+  await storage.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+  server.close();
+
+  console.log('\n=== チェック完了 ===');
+})().catch(error => {
+  console.log('❌ チェック失敗:', error.message);
+  process.exit(1);
+});
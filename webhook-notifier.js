@@ -0,0 +1,401 @@
+// webhook-notifier.js
+// 条件に一致した記事の Webhook 通知（署名付きJSON / Slack / Teams）
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const FetchScheduler = require('./fetch-scheduler');
+const { COLLECTIONS } = require('./storage');
+
+const DEAD_LETTER_COLLECTION = COLLECTIONS.WEBHOOK_DEAD_LETTERS;
+
+// 通知イベント
+const EVENTS = ['article.created', 'article.merged'];
+const FORMATS = ['json', 'slack', 'teams'];
+const RULE_KEYS = ['tags', 'sources', 'categories', 'keywords'];
+
+// 購読設定のデフォルト値
+const SUBSCRIPTION_DEFAULTS = {
+  enabled: true,
+  format: 'json',
+  events: EVENTS,
+  rules: {}
+};
+
+// 配信のリトライ設定
+const DELIVERY_DEFAULTS = {
+  retries: 3,
+  baseDelayMs: 1000,
+  maxDelayMs: 30000,
+  timeoutMs: 10000
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Slack の mrkdwn で制御文字として扱われる文字（<!channel> やリンク記法を無効にする）
+function escapeSlack(text) {
+  return String(text || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+class WebhookNotifier {
+  // options.configPath: 購読設定ファイルのパス
+  // options.retries / baseDelayMs / maxDelayMs / timeoutMs: 配信のリトライ設定
+  constructor(storage, options = {}) {
+    this.storage = storage;
+    this.configPath = path.resolve(options.configPath || process.env.WEBHOOKS_CONFIG || path.join(__dirname, 'webhooks.json'));
+    this.options = { ...DELIVERY_DEFAULTS, ...options };
+    // バックオフ・リトライ判定はフィード取得と共通
+    this.retryPolicy = new FetchScheduler(null, this.options);
+    this.subscriptions = [];
+    this.pending = [];
+    this.stats = { delivered: 0, failed: 0 };
+  }
+
+  // 1. 購読設定の読み込みと検証
+  load() {
+    if (!fs.existsSync(this.configPath)) {
+      throw new Error(`Webhook設定ファイルが見つかりません: ${this.configPath}`);
+    }
+
+    let config;
+    try {
+      config = JSON.parse(fs.readFileSync(this.configPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Webhook設定ファイルのJSON形式エラー: ${error.message}`);
+    }
+
+    const errors = this.validate(config);
+    if (errors.length > 0) {
+      throw new Error(`Webhook設定が不正です (${this.configPath}):\n  - ${errors.join('\n  - ')}`);
+    }
+
+    this.subscriptions = config.subscriptions.map(subscription => ({ ...SUBSCRIPTION_DEFAULTS, ...subscription }));
+    return this;
+  }
+
+  // 2. 設定内容の検証（エラーメッセージの配列を返す）
+  validate(config) {
+    if (!config || !Array.isArray(config.subscriptions)) {
+      return ['"subscriptions" 配列が必要です'];
+    }
+
+    const errors = [];
+    const ids = new Set();
+    config.subscriptions.forEach((subscription, index) => {
+      const label = `subscriptions[${index}]`;
+      if (!subscription || typeof subscription !== 'object') {
+        errors.push(`${label}: オブジェクトである必要があります`);
+        return;
+      }
+      if (typeof subscription.id !== 'string' || !/^[a-z0-9][a-z0-9-]*$/.test(subscription.id)) {
+        errors.push(`${label}: id は英小文字・数字・ハイフンで指定してください`);
+      } else if (ids.has(subscription.id)) {
+        errors.push(`${label}: id "${subscription.id}" が重複しています`);
+      }
+      ids.add(subscription.id);
+
+      try {
+        const url = new URL(subscription.url);
+        if (!['http:', 'https:'].includes(url.protocol)) throw new Error();
+      } catch (error) {
+        errors.push(`${label}: url は http(s) のURLで指定してください`);
+      }
+      if (subscription.format !== undefined && !FORMATS.includes(subscription.format)) {
+        errors.push(`${label}: format は ${FORMATS.join(' / ')} のいずれかで指定してください`);
+      }
+      if (subscription.events !== undefined &&
+          (!Array.isArray(subscription.events) || subscription.events.some(event => !EVENTS.includes(event)))) {
+        errors.push(`${label}: events は ${EVENTS.join(' / ')} の配列で指定してください`);
+      }
+      if (subscription.enabled !== undefined && typeof subscription.enabled !== 'boolean') {
+        errors.push(`${label}: enabled は true / false で指定してください`);
+      }
+      if (subscription.secretEnv !== undefined && typeof subscription.secretEnv !== 'string') {
+        errors.push(`${label}: secretEnv は環境変数名で指定してください`);
+      }
+      const rules = subscription.rules || {};
+      Object.keys(rules).forEach(key => {
+        if (!RULE_KEYS.includes(key)) {
+          errors.push(`${label}: rules.${key} は未対応です（${RULE_KEYS.join(', ')}）`);
+        } else if (!Array.isArray(rules[key]) || rules[key].some(value => typeof value !== 'string')) {
+          errors.push(`${label}: rules.${key} は文字列の配列で指定してください`);
+        }
+      });
+    });
+
+    return errors;
+  }
+
+  getSubscription(id) {
+    return this.subscriptions.find(subscription => subscription.id === id) || null;
+  }
+
+  // 3. ルール判定（種類ごとにAND、種類内はOR。未指定の種類は条件なし）
+  matches(subscription, event, article) {
+    if (!subscription.enabled || !subscription.events.includes(event)) return false;
+
+    const rules = subscription.rules || {};
+    const sources = article.sources && article.sources.length > 0 ? article.sources : [article.source];
+    const text = `${article.title || ''} ${article.description || ''}`.normalize('NFKC').toLowerCase();
+
+    if (rules.tags && rules.tags.length > 0 &&
+        !rules.tags.some(tag => (article.tags || []).includes(tag))) return false;
+    if (rules.sources && rules.sources.length > 0 &&
+        !rules.sources.some(source => sources.includes(source))) return false;
+    if (rules.categories && rules.categories.length > 0 &&
+        !rules.categories.includes(article.category)) return false;
+    if (rules.keywords && rules.keywords.length > 0 &&
+        !rules.keywords.some(keyword => text.includes(keyword.normalize('NFKC').toLowerCase()))) return false;
+
+    return true;
+  }
+
+  // 4. 通知の登録（配信は非同期に開始し、flush() で完了を待つ）
+  // details: 統合時は { incoming, similarity }
+  notify(event, article, details = {}) {
+    const targets = this.subscriptions.filter(subscription => this.matches(subscription, event, article));
+    targets.forEach(subscription => {
+      const payload = this.buildPayload(subscription, event, article, details);
+      this.pending.push(this.deliver(subscription, event, payload));
+    });
+    return targets.length;
+  }
+
+  // 5. 配信中の通知を全て待機して集計を返す
+  async flush() {
+    while (this.pending.length > 0) {
+      await Promise.all(this.pending.splice(0));
+    }
+    const stats = this.stats;
+    this.stats = { delivered: 0, failed: 0 };
+    return stats;
+  }
+
+  // 記事の通知用表現
+  serializeArticle(article) {
+    return {
+      id: article.id,
+      title: article.title,
+      link: article.link,
+      description: article.description,
+      source: article.source,
+      sources: article.sources && article.sources.length > 0 ? article.sources : [article.source],
+      category: article.category,
+      language: article.language,
+      tags: article.tags || [],
+      alternativeLinks: article.alternativeLinks || [],
+      publishedAt: article.publishedAt ? new Date(article.publishedAt).toISOString() : null
+    };
+  }
+
+  // 6. 形式ごとのペイロード生成
+  buildPayload(subscription, event, article, details = {}) {
+    const data = this.serializeArticle(article);
+    const heading = event === 'article.merged' ? '重複統合' : '新着記事';
+    const sourceText = data.sources.join(', ');
+
+    if (subscription.format === 'slack') {
+      const title = escapeSlack(data.title);
+      // リンク記法 <URL|テキスト> の区切りになる文字は URL ではエンコード、テキストでは除去
+      const link = String(data.link || '').replace(/[<>|]/g, char => encodeURIComponent(char));
+      const context = `${sourceText} / ${data.category}${data.tags.length > 0 ? ` / ${data.tags.join(', ')}` : ''}`;
+      return {
+        text: `[${heading}] ${title}`,
+        blocks: [
+          {
+            type: 'section',
+            text: { type: 'mrkdwn', text: `*${heading}*\n<${link}|${title.replace(/\|/g, '')}>` }
+          },
+          {
+            type: 'context',
+            elements: [
+              { type: 'mrkdwn', text: escapeSlack(context) }
+            ]
+          }
+        ]
+      };
+    }
+
+    if (subscription.format === 'teams') {
+      return {
+        '@type': 'MessageCard',
+        '@context': 'https://schema.org/extensions',
+        summary: `[${heading}] ${data.title}`,
+        themeColor: 'EB0A1E',
+        title: data.title,
+        text: data.description,
+        sections: [{
+          facts: [
+            { name: 'ソース', value: sourceText },
+            { name: 'カテゴリ', value: data.category },
+            { name: 'タグ', value: data.tags.join(', ') || '-' }
+          ]
+        }],
+        potentialAction: [{
+          '@type': 'OpenUri',
+          name: '記事を開く',
+          targets: [{ os: 'default', uri: data.link }]
+        }]
+      };
+    }
+
+    return {
+      event,
+      occurredAt: new Date().toISOString(),
+      article: data,
+      ...(details.incoming ? {
+        merge: {
+          incoming: {
+            id: details.incoming.id,
+            title: details.incoming.title,
+            link: details.incoming.link,
+            source: details.incoming.source
+          },
+          similarity: details.similarity || null
+        }
+      } : {})
+    };
+  }
+
+  // 7. 署名（HMAC-SHA256、対象は "<timestamp>.<body>"）
+  sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  // 8. リトライ付き配信（失敗時はデッドレターに記録）
+  // 戻り値: { delivered, attempts }
+  async deliver(subscription, event, payload, deliveryId = crypto.randomUUID(), recordFailure = true) {
+    const body = JSON.stringify(payload);
+    const secret = subscription.secretEnv ? process.env[subscription.secretEnv] : null;
+    const attempts = [];
+    const maxAttempts = this.options.retries + 1;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+      const headers = {
+        'Content-Type': 'application/json; charset=utf-8',
+        'User-Agent': 'toyota-news-collector',
+        'X-Webhook-Event': event,
+        'X-Webhook-Delivery': deliveryId,
+        'X-Webhook-Timestamp': timestamp
+      };
+      if (secret) {
+        headers['X-Webhook-Signature'] = `sha256=${this.sign(secret, timestamp, body)}`;
+      }
+
+      try {
+        await this.send(subscription.url, body, headers);
+        this.stats.delivered++;
+        return { delivered: true, attempts };
+      } catch (error) {
+        const retryable = this.retryPolicy.isRetryable(error);
+        attempts.push({
+          attempt,
+          error: error.message,
+          code: error.code || null,
+          status: error.status || null,
+          at: new Date()
+        });
+
+        if (!retryable || attempt === maxAttempts) break;
+        await sleep(this.retryPolicy.getBackoffDelay(attempt));
+      }
+    }
+
+    this.stats.failed++;
+    console.error(`❌ Webhook配信失敗 (${subscription.id}): ${attempts[attempts.length - 1].error}`);
+    if (recordFailure) {
+      await this.recordDeadLetter(subscription, event, payload, deliveryId, attempts);
+    }
+    return { delivered: false, attempts };
+  }
+
+  // 9. HTTP POST（2xx 以外はエラー）
+  send(url, body, headers) {
+    return new Promise((resolve, reject) => {
+      const client = url.startsWith('https:') ? https : http;
+      const req = client.request(url, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) }
+      }, res => {
+        res.resume();
+        res.on('end', () => {
+          if (res.statusCode >= 200 && res.statusCode < 300) return resolve(res.statusCode);
+          const error = new Error(`HTTP ${res.statusCode}`);
+          error.status = res.statusCode;
+          reject(error);
+        });
+      });
+
+      req.setTimeout(this.options.timeoutMs, () => {
+        const error = new Error(`タイムアウト (${this.options.timeoutMs}ms): ${url}`);
+        error.code = 'ETIMEDOUT';
+        req.destroy(error);
+      });
+      req.on('error', reject);
+      req.end(body);
+    });
+  }
+
+  // 10. デッドレターの記録
+  async recordDeadLetter(subscription, event, payload, deliveryId, attempts) {
+    try {
+      return await this.storage.add(DEAD_LETTER_COLLECTION, {
+        subscriptionId: subscription.id,
+        url: subscription.url,
+        event,
+        deliveryId,
+        payload,
+        attempts,
+        status: 'failed',
+        failedAt: new Date(),
+        redeliveredAt: null
+      });
+    } catch (error) {
+      console.error('❌ デッドレター保存エラー:', error.message);
+      return null;
+    }
+  }
+
+  // 11. デッドレター一覧（新しい順）
+  async listDeadLetters(options = {}) {
+    const where = [];
+    if (options.status) where.push(['status', '==', options.status]);
+    return this.storage.query(DEAD_LETTER_COLLECTION, {
+      where,
+      orderBy: ['failedAt', 'desc'],
+      limit: options.limit || 20,
+      offset: options.offset || 0
+    });
+  }
+
+  // 12. デッドレターの再配信（現在の購読設定のURL・署名で送信）
+  async redeliver(deadLetterId) {
+    const deadLetter = await this.storage.get(DEAD_LETTER_COLLECTION, deadLetterId);
+    if (!deadLetter) {
+      throw new Error(`デッドレターが見つかりません: ${deadLetterId}`);
+    }
+    if (deadLetter.status === 'redelivered') {
+      throw new Error(`再配信済みです: ${deadLetterId}`);
+    }
+    const subscription = this.getSubscription(deadLetter.subscriptionId);
+    if (!subscription) {
+      throw new Error(`購読設定が見つかりません: ${deadLetter.subscriptionId}`);
+    }
+
+    const { delivered, attempts } = await this.deliver(
+      subscription, deadLetter.event, deadLetter.payload, deadLetter.deliveryId, false
+    );
+    await this.storage.update(DEAD_LETTER_COLLECTION, deadLetterId, delivered
+      ? { status: 'redelivered', redeliveredAt: new Date() }
+      : { attempts: [...deadLetter.attempts, ...attempts], failedAt: new Date() });
+    await this.flush();
+    return delivered;
+  }
+}
+
+WebhookNotifier.EVENTS = EVENTS;
+
+module.exports = WebhookNotifier;
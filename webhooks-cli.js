@@ -0,0 +1,86 @@
+// webhooks-cli.js
+// Webhook 購読設定の確認・テスト送信・デッドレターの再配信
+//
+// 使い方:
+//   node webhooks-cli.js list
+//   node webhooks-cli.js test <購読ID>
+//   node webhooks-cli.js dead-letters [--limit 20]
+//   node webhooks-cli.js redeliver <デッドレターID>
+
+const ToyotaNewsCollector = require('./rss-collector');
+
+function printSubscription(subscription) {
+  const rules = Object.entries(subscription.rules || {})
+    .filter(([, values]) => values.length > 0)
+    .map(([key, values]) => `${key}=${values.join('|')}`);
+  console.log(`${subscription.enabled ? '✅' : '⏸️ '} ${subscription.id} [${subscription.format}] ${subscription.url}`);
+  console.log(`   イベント: ${subscription.events.join(', ')} / 条件: ${rules.length > 0 ? rules.join(' ') : 'なし（全件）'}${subscription.secretEnv ? ` / 署名: $${subscription.secretEnv}` : ''}`);
+}
+
+function printDeadLetter(deadLetter) {
+  const lastAttempt = deadLetter.attempts[deadLetter.attempts.length - 1] || {};
+  console.log(`${deadLetter.status === 'failed' ? '📮' : '✅'} ${deadLetter.id}  ${deadLetter.failedAt.toLocaleString()}`);
+  console.log(`   ${deadLetter.subscriptionId} ${deadLetter.event} → ${deadLetter.url}`);
+  console.log(`   試行 ${deadLetter.attempts.length}回 / 最終エラー: ${lastAttempt.error || '-'}`);
+}
+
+async function main(argv) {
+  const [command, ...args] = argv;
+  const collector = new ToyotaNewsCollector();
+  const notifier = collector.webhookNotifier;
+
+  try {
+    switch (command) {
+      case 'list':
+      case undefined:
+        if (notifier.subscriptions.length === 0) console.log('購読設定はありません');
+        notifier.subscriptions.forEach(printSubscription);
+        break;
+
+      // 最新記事を使ってルールに関係なく送信
+      case 'test': {
+        const subscription = notifier.getSubscription(args[0]);
+        if (!subscription) throw new Error(`購読設定が見つかりません: ${args[0]}`);
+        const [article] = await collector.getLatestArticles(1);
+        if (!article) throw new Error('送信に使う記事がありません');
+        const payload = notifier.buildPayload(subscription, 'article.created', article);
+        const { delivered } = await notifier.deliver(subscription, 'article.created', payload);
+        if (!delivered) throw new Error('テスト送信に失敗しました（デッドレターに記録済み）');
+        console.log(`✅ テスト送信完了: ${subscription.url}`);
+        break;
+      }
+
+      case 'dead-letters': {
+        const limitIndex = args.indexOf('--limit');
+        const deadLetters = await notifier.listDeadLetters({
+          limit: limitIndex !== -1 ? Number(args[limitIndex + 1]) : 20
+        });
+        if (deadLetters.length === 0) console.log('デッドレターはありません');
+        deadLetters.forEach(printDeadLetter);
+        break;
+      }
+
+      case 'redeliver': {
+        if (!args[0]) throw new Error('デッドレターIDを指定してください');
+        const delivered = await notifier.redeliver(args[0]);
+        if (!delivered) throw new Error('再配信に失敗しました');
+        console.log(`✅ 再配信完了: ${args[0]}`);
+        break;
+      }
+
+      default:
+        throw new Error(`不明なコマンド: ${command}`);
+    }
+  } finally {
+    await collector.cleanup();
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch(error => {
+    console.error('❌', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { main };